@@ -0,0 +1,159 @@
+// Custom agents: Markdown files with frontmatter in ~/.claude/agents (yours) or
+// <project>/.claude/agents (shared through the repo), the same files Claude Code uses
+// for subagents. The body is the agent's system prompt; `tools`, `model` and `effort`
+// in the frontmatter limit and configure every run of a session started with the agent.
+// A project agent replaces a personal one with the same name.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { parseFrontmatter, splitList } = require('./commands');
+const { MODEL_ALIASES } = require('./usage');
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const EFFORTS = ['low', 'medium', 'high'];
+// Claude Code's built-in tools, so everything outside an agent's list can be switched off
+const BUILT_IN_TOOLS = ['Bash', 'BashOutput', 'Edit', 'Glob', 'Grep', 'KillShell', 'LS', 'MultiEdit', 'NotebookEdit', 'Read', 'SlashCommand', 'Task', 'TodoWrite', 'WebFetch', 'WebSearch', 'Write'];
+// Fields this module writes; anything else in a file's frontmatter is kept as it was
+const OWN_KEYS = ['name', 'description', 'tools', 'model', 'effort'];
+
+function dirFor(scope, projectDir) {
+  if (scope === 'project') {
+    if (!projectDir) throw new Error('This session has no project folder');
+    return path.join(projectDir, '.claude', 'agents');
+  }
+  return path.join(os.homedir(), '.claude', 'agents');
+}
+
+const asList = (v) => (Array.isArray(v) ? v : splitList(String(v || ''))).map(t => t.trim()).filter(Boolean);
+
+// { name, scope, description, tools (null = every tool), model, effort, prompt }
+function parse(text, name, scope) {
+  const { data, body } = parseFrontmatter(text);
+  const tools = asList(data.tools).filter(t => t !== 'inherit');
+  const model = data.model && data.model !== 'inherit' ? (MODEL_ALIASES[data.model] || data.model) : null;
+  return {
+    name,
+    scope,
+    description: data.description || '',
+    tools: tools.length ? tools : null,
+    model,
+    effort: EFFORTS.includes(data.effort) ? data.effort : null,
+    prompt: body.trim(),
+    extra: Object.fromEntries(Object.entries(data).filter(([k]) => !OWN_KEYS.includes(k))),
+  };
+}
+
+function readDir(dir, scope, found) {
+  let names;
+  try { names = fs.readdirSync(dir); } catch(e) { return; }
+  for (const f of names) {
+    if (!f.endsWith('.md')) continue;
+    try {
+      found.set(f.slice(0, -3), parse(fs.readFileSync(path.join(dir, f), 'utf8'), f.slice(0, -3), scope));
+    } catch(e) {
+      console.warn(`⚠ Could not read agent ${path.join(dir, f)}: ${e.message}`);
+    }
+  }
+}
+
+// Every agent available in a project, sorted by name
+function list(projectDir) {
+  const found = new Map();
+  readDir(dirFor('user'), 'user', found);
+  if (projectDir) readDir(dirFor('project', projectDir), 'project', found);
+  return [...found.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function find(projectDir, name) {
+  return list(projectDir).find(a => a.name === name) || null;
+}
+
+function yamlValue(v) {
+  const s = String(v).replace(/\s*\n\s*/g, ' ').trim();
+  return /^[\s'"[\]{}>|*&!%@`#-]|:\s|\s#|^$/.test(s) ? `'${s.replace(/'/g, "''")}'` : s;
+}
+
+function serialize(agent, extra = {}) {
+  const lines = [`name: ${agent.name}`];
+  if (agent.description) lines.push(`description: ${yamlValue(agent.description)}`);
+  if (agent.tools) lines.push(`tools: ${agent.tools.join(', ')}`);
+  if (agent.model) lines.push(`model: ${yamlValue(agent.model)}`);
+  if (agent.effort) lines.push(`effort: ${agent.effort}`);
+  for (const [k, v] of Object.entries(extra)) {
+    lines.push(Array.isArray(v) ? `${k}: [${v.map(yamlValue).join(', ')}]` : `${k}: ${yamlValue(v)}`);
+  }
+  return `---\n${lines.join('\n')}\n---\n\n${agent.prompt}\n`;
+}
+
+// Creates or updates an agent. `original` ({ name, scope }) is the agent being edited,
+// which is removed when the edit renames or moves it.
+function save(projectDir, input, original) {
+  const name = String(input.name || '').trim().toLowerCase();
+  if (!NAME_RE.test(name)) throw new Error('Names use lowercase letters, digits, - and _');
+  const scope = input.scope === 'project' ? 'project' : 'user';
+  const prompt = String(input.prompt || '').trim();
+  if (!prompt) throw new Error('The agent needs a system prompt');
+  const dir = dirFor(scope, projectDir);
+  const file = path.join(dir, `${name}.md`);
+  if (original && !NAME_RE.test(String(original.name))) throw new Error('No such agent');
+  const moved = original && (original.name !== name || original.scope !== scope);
+  if ((!original || moved) && fs.existsSync(file)) throw new Error(`An agent called ${name} already exists there`);
+
+  let extra = {};
+  if (original) {
+    try { extra = parse(fs.readFileSync(path.join(dirFor(original.scope, projectDir), `${original.name}.md`), 'utf8'), name, scope).extra; } catch(e) {}
+  }
+  const tools = Array.isArray(input.tools) ? input.tools.map(t => String(t).trim()).filter(t => /^[\w.:*-]+(\(.*\))?$/.test(t)) : null;
+  const patterned = (tools || []).find(t => t.includes('(') && !t.startsWith('Bash('));
+  if (patterned) throw new Error(`Only Bash can be limited to some commands, like Bash(git:*) — ${patterned} can't`);
+  const agent = {
+    name,
+    scope,
+    description: String(input.description || '').trim() || prompt.split('\n')[0].slice(0, 80),
+    tools: tools?.length ? tools : null,
+    model: input.model ? String(input.model) : null,
+    effort: EFFORTS.includes(input.effort) ? input.effort : null,
+    prompt,
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, serialize(agent, extra));
+  if (moved) remove(projectDir, original.scope, original.name);
+  return agent;
+}
+
+function remove(projectDir, scope, name) {
+  if (!NAME_RE.test(String(name))) throw new Error('No such agent');
+  const file = path.join(dirFor(scope, projectDir), `${name}.md`);
+  if (!fs.existsSync(file)) throw new Error(`No agent called ${name}`);
+  fs.unlinkSync(file);
+}
+
+// Whether a Bash call's input fits a pattern from an agent's tools: "git:*" is git and
+// anything after it, anything else the exact command. A command that chains or
+// redirects could run something else after the allowed part, so it never fits.
+function commandMatches(pattern, input) {
+  const command = String(input?.command || '').trim();
+  if (/[;&|`<>\n]|\$\(/.test(command)) return false;
+  if (!pattern.endsWith(':*')) return command === pattern;
+  const prefix = pattern.slice(0, -2);
+  return command === prefix || command.startsWith(`${prefix} `);
+}
+
+// Whether an agent limited to `tools` may make this call. "Bash(git:*)" allows only
+// matching commands, so without `input` (to pre-allow a tool as a whole) it doesn't count.
+function allows(tools, toolName, input) {
+  if (!tools) return true;
+  return tools.some(t => {
+    const m = /^([^(]+)\((.*)\)$/.exec(t);
+    if (!m) return t === toolName;
+    return m[1] === toolName && toolName === 'Bash' && input !== undefined && commandMatches(m[2], input);
+  });
+}
+
+// Built-in tools to pass to --disallowedTools for an agent limited to `tools`; one it
+// may use for some calls stays on and each call is checked by allows()
+function disallowed(tools) {
+  return tools ? BUILT_IN_TOOLS.filter(t => !tools.some(x => x.replace(/\(.*$/, '') === t)) : [];
+}
+
+module.exports = { BUILT_IN_TOOLS, list, find, save, remove, allows, disallowed };
@@ -0,0 +1,71 @@
+// Finds the programs runs need. CLAUDE_BIN and UNBUFFER_BIN name them outright; otherwise
+// they're looked up on PATH and in the places installers usually put them (Homebrew on
+// Apple Silicon and Intel, npm's global folder, Claude Code's own ~/.claude/local). A server
+// started by launchd or systemd gets a bare PATH, hence the extra places.
+//
+// unbuffer (from expect) gives claude a terminal so its output isn't held back in a pipe
+// buffer. Claude Code flushes stream-json lines itself, so it isn't required: USE_UNBUFFER=0
+// reads claude's stdout straight from a pipe, and that's what happens when unbuffer isn't
+// installed. USE_UNBUFFER=1 insists on it.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+
+const home = os.homedir();
+const EXTRA_DIRS = ['/opt/homebrew/bin', '/usr/local/bin', path.join(home, '.local', 'bin'), path.join(home, '.claude', 'local'), path.join(home, '.npm-global', 'bin'), '/usr/bin', '/bin'];
+const expand = (p) => p.replace(/^~(?=$|\/)/, home);
+
+// PATH for everything the server starts: its own PATH first, then the usual places
+const SEARCH_PATH = [...new Set([...(process.env.PATH || '').split(path.delimiter), ...EXTRA_DIRS].filter(Boolean))];
+
+function executable(file) {
+  try { fs.accessSync(file, fs.constants.X_OK); return fs.statSync(file).isFile(); } catch(e) { return false; }
+}
+
+// The configured path if it's set (even if broken, so the error names it), else the first
+// match on the search path, else null
+function find(name, configured) {
+  if (configured) return path.resolve(expand(configured));
+  for (const dir of SEARCH_PATH) {
+    const file = path.join(dir, name);
+    if (executable(file)) return file;
+  }
+  return null;
+}
+
+const CLAUDE = find('claude', process.env.CLAUDE_BIN);
+const UNBUFFER_MODE = /^(0|false|no|off)$/i.test(process.env.USE_UNBUFFER || '') ? 'off'
+  : /^(1|true|yes|on)$/i.test(process.env.USE_UNBUFFER || '') ? 'on' : 'auto';
+const UNBUFFER = UNBUFFER_MODE === 'off' ? null : find('unbuffer', process.env.UNBUFFER_BIN);
+// Directories of the programs found go on PATH too, so claude's own tools can find node etc.
+const RUN_PATH = [...new Set([CLAUDE, UNBUFFER].filter(Boolean).map(f => path.dirname(f)).concat(SEARCH_PATH))].join(path.delimiter);
+
+// [bin, args] to run claude with `args`, through unbuffer when it's in use
+function claudeCommand(args) {
+  if (!CLAUDE) throw new Error('Claude Code was not found — install it or set CLAUDE_BIN in .env');
+  if (!executable(CLAUDE)) throw new Error(`Claude Code was not found at ${CLAUDE} — check CLAUDE_BIN in .env`);
+  if (UNBUFFER_MODE === 'on' && !executable(UNBUFFER || '')) throw new Error(`unbuffer was not found${UNBUFFER ? ` at ${UNBUFFER}` : ''} — install expect, set UNBUFFER_BIN or USE_UNBUFFER=0`);
+  return UNBUFFER && executable(UNBUFFER) ? [UNBUFFER, [CLAUDE, ...args]] : [CLAUDE, args];
+}
+
+function env() {
+  return { ...process.env, PATH: RUN_PATH };
+}
+
+// Startup health check: resolves { claude: { path, version, error }, unbuffer: { path, used, error } }
+function check() {
+  return new Promise((resolve) => {
+    const unbuffer = { path: UNBUFFER, used: !!UNBUFFER && executable(UNBUFFER), error: null };
+    if (UNBUFFER_MODE === 'on' && !unbuffer.used) unbuffer.error = UNBUFFER ? `${UNBUFFER} is not executable` : 'not found';
+    else if (process.env.UNBUFFER_BIN && UNBUFFER_MODE !== 'off' && !unbuffer.used) unbuffer.error = `${UNBUFFER} is not executable`;
+    if (!CLAUDE) return resolve({ claude: { path: null, version: null, error: 'not found' }, unbuffer });
+    execFile(CLAUDE, ['--version'], { env: env(), timeout: 15000 }, (err, stdout, stderr) => {
+      const version = String(stdout || '').trim().split('\n')[0] || null;
+      const error = err ? (err.code === 'ENOENT' || err.code === 'EACCES' ? `${CLAUDE} is missing or not executable` : String(stderr || err.message).trim().split('\n').pop()) : null;
+      resolve({ claude: { path: CLAUDE, version: error ? null : version, error }, unbuffer });
+    });
+  });
+}
+
+module.exports = { CLAUDE, UNBUFFER, UNBUFFER_MODE, RUN_PATH, claudeCommand, env, check };
@@ -0,0 +1,76 @@
+// Reads Claude Code's own session transcripts in ~/.claude/projects/<encoded path>/<sessionId>.jsonl,
+// which hold every conversation run on the Mac, whether from the terminal or from this app.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+
+function textOf(content) {
+  if (!Array.isArray(content)) return String(content || '');
+  return content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+}
+
+function toolResultText(content) {
+  return Array.isArray(content) ? content.filter(c => c.type === 'text').map(c => c.text).join('\n') : String(content || '');
+}
+
+// Messages ({ role: 'user'|'claude'|'tool', text, ts }) in one JSONL entry
+function messagesIn(e) {
+  if ((e.type !== 'user' && e.type !== 'assistant') || !e.message?.content) return [];
+  const ts = e.timestamp ? Date.parse(e.timestamp) || 0 : 0;
+  const out = [];
+  const text = textOf(e.message.content).trim();
+  if (text) out.push({ role: e.type === 'user' ? 'user' : 'claude', text, ts });
+  for (const c of Array.isArray(e.message.content) ? e.message.content : []) {
+    if (c.type === 'tool_use') out.push({ role: 'tool', text: `${c.name} ${JSON.stringify(c.input ?? {})}`, ts });
+    else if (c.type === 'tool_result') {
+      const result = toolResultText(c.content).trim();
+      if (result) out.push({ role: 'tool', text: result, ts });
+    }
+  }
+  return out;
+}
+
+// Every message in a session file, each tagged with its position (`index`)
+function readMessages(file) {
+  const messages = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    let e;
+    try { e = JSON.parse(line); } catch(err) { continue; }
+    for (const m of messagesIn(e)) messages.push({ ...m, index: messages.length });
+  }
+  return messages;
+}
+
+function findSessionFile(sessionId, projectPath) {
+  if (!/^[\w-]+$/.test(String(sessionId || ''))) return null;
+  // Claude Code names the folder after the project path with / replaced by -
+  if (projectPath) {
+    const candidate = path.join(PROJECTS_DIR, projectPath.replace(/\//g, '-') + '-', `${sessionId}.jsonl`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  if (!fs.existsSync(PROJECTS_DIR)) return null;
+  for (const dir of fs.readdirSync(PROJECTS_DIR)) {
+    const candidate = path.join(PROJECTS_DIR, dir, `${sessionId}.jsonl`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+// [{ file, sessionId }] for every session transcript on disk
+function listSessionFiles() {
+  if (!fs.existsSync(PROJECTS_DIR)) return [];
+  const files = [];
+  for (const dir of fs.readdirSync(PROJECTS_DIR)) {
+    let names;
+    try { names = fs.readdirSync(path.join(PROJECTS_DIR, dir)); } catch(e) { continue; }
+    for (const name of names) {
+      if (name.endsWith('.jsonl')) files.push({ file: path.join(PROJECTS_DIR, dir, name), sessionId: name.slice(0, -6) });
+    }
+  }
+  return files;
+}
+
+module.exports = { PROJECTS_DIR, messagesIn, readMessages, findSessionFile, listSessionFiles };
@@ -0,0 +1,125 @@
+// Custom slash commands, read from the same places Claude Code reads them:
+// ~/.claude/commands/*.md (yours, in every project) and <project>/.claude/commands/*.md
+// (shared through the repo). Files in subfolders are named folder:file. A project command
+// replaces a personal one with the same name.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const MAX_FILE = 64 * 1024;
+const MAX_COMMANDS = 200;
+const NAME_RE = /^[\w.-]+(?::[\w.-]+)*$/;
+
+// Splits "a, b(c, d), 'e, f'" on the commas that aren't inside parentheses or quotes
+function splitList(s) {
+  const out = [];
+  let depth = 0, quote = null, cur = '';
+  for (const ch of s) {
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if (ch === ',' && !depth && !quote) { out.push(cur); cur = ''; } else cur += ch;
+  }
+  out.push(cur);
+  return out.map(v => v.trim()).filter(Boolean);
+}
+
+function unquote(v) {
+  if (/^'.*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  if (/^".*"$/.test(v)) { try { return JSON.parse(v); } catch(e) { return v.slice(1, -1); } }
+  return v;
+}
+
+// Drops a trailing "# comment", leaving quoted strings whole
+function stripComment(v) {
+  const quoted = v.match(/^\s*('(?:[^']|'')*'|"(?:[^"\\]|\\.)*")/);
+  return quoted ? quoted[1] : v.replace(/\s+#.*$/, '').trim();
+}
+
+// The small part of YAML that command and agent files use: `key: value` pairs, with
+// values that are plain or quoted strings, [inline, lists] or "- item" lines below the key.
+// Returns { data, body }; files without frontmatter have empty data.
+function parseFrontmatter(text) {
+  const m = String(text).match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!m) return { data: {}, body: String(text) };
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) { data[listKey].push(unquote(stripComment(item[1]))); continue; }
+    const kv = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!kv) continue;
+    const key = kv[1], value = stripComment(kv[2]);
+    listKey = null;
+    if (!value) { data[key] = []; listKey = key; }
+    else if (/^\[.*\]$/.test(value)) data[key] = splitList(value.slice(1, -1)).map(unquote);
+    else data[key] = unquote(value.trim());
+  }
+  return { data, body: text.slice(m[0].length) };
+}
+
+const asList = (v) => Array.isArray(v) ? v : (v ? splitList(v) : []);
+
+function readDir(dir, scope, found, prefix = '') {
+  let entries;
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch(e) { return; }
+  for (const d of entries) {
+    if (found.size >= MAX_COMMANDS) return;
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) { readDir(full, scope, found, `${prefix}${d.name}:`); continue; }
+    if (!d.name.endsWith('.md')) continue;
+    const name = prefix + d.name.slice(0, -3);
+    if (!NAME_RE.test(name)) continue;
+    try {
+      if (fs.statSync(full).size > MAX_FILE) continue;
+      const { data, body } = parseFrontmatter(fs.readFileSync(full, 'utf8'));
+      found.set(name, {
+        name,
+        scope,
+        description: data.description || body.trim().split('\n')[0].replace(/^#+\s*/, '').slice(0, 100),
+        argumentHint: data['argument-hint'] || '',
+        allowedTools: asList(data['allowed-tools']),
+        takesArguments: !!data['argument-hint'] || /\$(ARGUMENTS|[1-9])/.test(body),
+        model: data.model || null,
+        body: body.trim(),
+      });
+    } catch(e) {
+      console.warn(`⚠ Could not read command ${full}: ${e.message}`);
+    }
+  }
+}
+
+// All commands available in a project, sorted by name
+function list(projectDir) {
+  const found = new Map();
+  readDir(path.join(os.homedir(), '.claude', 'commands'), 'user', found);
+  if (projectDir) readDir(path.join(projectDir, '.claude', 'commands'), 'project', found);
+  return [...found.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Words of the arguments, keeping "quoted phrases" together, for $1, $2…
+function splitArgs(args) {
+  return [...args.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
+}
+
+// The prompt for "/name args" if name is a custom command in projectDir, else null.
+// $ARGUMENTS is replaced by everything after the name and $1…$9 by single words.
+// Arguments given to a command that doesn't use them are added at the end.
+function expand(projectDir, text) {
+  const m = String(text).match(/^\/([\w.:-]+)(?:\s+([\s\S]*))?$/);
+  if (!m) return null;
+  const cmd = list(projectDir).find(c => c.name === m[1]);
+  if (!cmd) return null;
+  const args = (m[2] || '').trim();
+  const words = splitArgs(args);
+  const usesArgs = /\$(ARGUMENTS|[1-9])/.test(cmd.body);
+  let prompt = cmd.body
+    .replace(/\$ARGUMENTS/g, () => args)
+    .replace(/\$([1-9])/g, (_, n) => words[n - 1] || '');
+  if (args && !usesArgs) prompt += `\n\nARGUMENTS: ${args}`;
+  return { command: cmd, prompt };
+}
+
+module.exports = { parseFrontmatter, splitList, list, expand };
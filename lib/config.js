@@ -0,0 +1,279 @@
+// Server settings in ~/claude-mobile/config.json: what new sessions start with, the system
+// prompt added to every run, limits, paths and features that can be switched off. Admins
+// change them under Settings → Server Settings, or the file can be edited by hand; either
+// way new values apply at once, except the few marked `restart`. Anything the file leaves
+// out keeps its default, which for settings that had a .env variable before this file
+// existed is still that variable.
+//
+// The file holds only what was changed, grouped like SCHEMA:
+//   { "session": { "model": "claude-opus-4-6" }, "limits": { "maxConcurrentRuns": 2 } }
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const FILE = path.join(os.homedir(), 'claude-mobile', 'config.json');
+const env = process.env;
+const home = os.homedir();
+const expand = (p) => String(p).trim().replace(/^~(?=$|\/)/, home);
+
+const DEFAULT_PROMPT = 'When creating or saving any files, always save to {uploads}. Never ask where to save — always use that directory. Tell the user the filename when done.';
+
+// section → { label, fields: key → { type, default, label, help?, min?, max?, values?, restart? } }
+// Types: string, text (multi-line), number, integer, boolean, enum (one of values), list
+// (of strings) and path (absolute, ~ allowed).
+const SCHEMA = {
+  session: {
+    label: 'New Sessions',
+    fields: {
+      model: { type: 'string', default: 'claude-sonnet-4-6', label: 'Model', pattern: /^[\w.:[\]-]+$/ },
+      effort: { type: 'enum', values: ['low', 'medium', 'high'], default: 'high', label: 'Effort (Opus only)' },
+      planMode: { type: 'boolean', default: false, label: 'Start in plan mode' },
+      permissions: { type: 'enum', values: ['allow', 'ask', 'deny'], default: 'ask', label: 'Tools without a rule', help: 'Read, Glob, Grep, LS and TodoWrite are always allowed to start with' },
+    },
+  },
+  prompt: {
+    label: 'System Prompt',
+    fields: {
+      system: { type: 'text', default: DEFAULT_PROMPT, label: 'Added to every run', help: '{uploads} is the uploads folder, {project} the session\'s folder and {user} the account. An agent\'s own prompt comes after it.' },
+    },
+  },
+  limits: {
+    label: 'Limits',
+    fields: {
+      maxConcurrentRuns: { type: 'integer', min: 1, max: 50, default: Number(env.MAX_CONCURRENT_RUNS) || 3, label: 'Runs at once' },
+      runTimeoutMinutes: { type: 'number', min: 1, max: 24 * 60, default: Number(env.RUN_TIMEOUT_MINUTES) || 60, label: 'Longest run (minutes)' },
+      runIdleMinutes: { type: 'number', min: 0.5, max: 24 * 60, default: Number(env.RUN_IDLE_MINUTES) || 10, label: 'Stop a run after no output for (minutes)' },
+      runMaxMemoryMb: { type: 'integer', min: 0, max: 1024 * 1024, default: Number(env.RUN_MAX_MEMORY_MB) || 0, label: 'Memory per run (MB, 0 = no limit)' },
+      uploadMaxMb: { type: 'number', min: 1, max: 10 * 1024, default: Number(env.UPLOAD_MAX_MB) || 50, label: 'Largest attachment (MB)' },
+      logLines: { type: 'integer', min: 50, max: 10000, default: 200, label: 'Server log lines kept' },
+      dailyBudgetUsd: { type: 'number', min: 0, max: 100000, default: Number(env.DAILY_BUDGET_USD) || 0, label: 'Daily budget (USD, 0 = none)', help: 'New runs are refused once everyone together has spent this much today' },
+      monthlyBudgetUsd: { type: 'number', min: 0, max: 1000000, default: Number(env.MONTHLY_BUDGET_USD) || 0, label: 'Monthly budget (USD, 0 = none)' },
+    },
+  },
+  paths: {
+    label: 'Paths',
+    fields: {
+      projectRoots: { type: 'list', default: (env.PROJECT_ROOTS || home).split(/[,:]/).map(p => p.trim()).filter(Boolean), label: 'Project folders', help: 'Sessions can only run in these folders and the folders inside them' },
+      uploadsDir: { type: 'path', default: path.join(home, 'claude-mobile', 'uploads'), label: 'Uploads folder', restart: true },
+    },
+  },
+  features: {
+    label: 'Features',
+    fields: {
+      shell: { type: 'boolean', default: /^(1|true|yes)$/i.test(env.ENABLE_SHELL || ''), label: 'Shell tabs (admins)' },
+      voiceInput: { type: 'boolean', default: true, label: 'Voice input', help: 'Needs a speech-to-text backend in .env' },
+      serverVoice: { type: 'boolean', default: true, label: 'Server voice for read-aloud', help: 'Needs a text-to-speech backend in .env' },
+      schedules: { type: 'boolean', default: true, label: 'Scheduled prompts' },
+    },
+  },
+};
+
+// The schema entry for section.key, or null; names like "constructor" or "__proto__" that
+// every object inherits are not settings
+function fieldOf(section, key) {
+  if (!Object.hasOwn(SCHEMA, section) || !Object.hasOwn(SCHEMA[section].fields, key)) return null;
+  return SCHEMA[section].fields[key];
+}
+
+// The checked value, or throws with what's wrong
+function coerce(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error('must be true or false');
+      return value;
+    case 'number': case 'integer': {
+      const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) throw new Error('must be a number');
+      if (field.type === 'integer' && !Number.isInteger(n)) throw new Error('must be a whole number');
+      if (n < field.min || n > field.max) throw new Error(`must be between ${field.min} and ${field.max}`);
+      return n;
+    }
+    case 'enum':
+      if (!field.values.includes(value)) throw new Error(`must be one of ${field.values.join(', ')}`);
+      return value;
+    case 'string': case 'text': {
+      if (typeof value !== 'string') throw new Error('must be text');
+      const s = field.type === 'text' ? value.replace(/\r\n/g, '\n').trim() : value.trim();
+      if (!s && field.type === 'string') throw new Error('can\'t be empty');
+      if (s.length > 20000) throw new Error('is too long');
+      if (field.pattern && !field.pattern.test(s)) throw new Error('has characters that aren\'t allowed');
+      return s;
+    }
+    case 'path': {
+      if (typeof value !== 'string' || !value.trim()) throw new Error('must be a folder path');
+      const p = expand(value);
+      if (!path.isAbsolute(p)) throw new Error('must be an absolute path (or start with ~)');
+      return path.normalize(p);
+    }
+    case 'list': {
+      const items = (Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\n]/) : null);
+      if (!items || items.some(v => typeof v !== 'string')) throw new Error('must be a list of folders');
+      const list = items.map(v => v.trim()).filter(Boolean);
+      if (!list.length) throw new Error('needs at least one folder');
+      for (const p of list) if (!path.isAbsolute(expand(p))) throw new Error(`${p} must be an absolute path (or start with ~)`);
+      return list;
+    }
+  }
+  throw new Error('has an unknown type');
+}
+
+// Checks what a file (or an update) sets. Returns { values, errors }: the valid part, in
+// the file's shape, and "section.key: problem" for each thing that was dropped.
+function validate(data) {
+  const values = {}, errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { values, errors: ['must be a JSON object'] };
+  for (const [section, given] of Object.entries(data)) {
+    if (!Object.hasOwn(SCHEMA, section)) { errors.push(`${section}: unknown section`); continue; }
+    if (!given || typeof given !== 'object' || Array.isArray(given)) { errors.push(`${section}: must be an object`); continue; }
+    for (const [key, value] of Object.entries(given)) {
+      const field = fieldOf(section, key);
+      if (!field) { errors.push(`${section}.${key}: unknown setting`); continue; }
+      try {
+        (values[section] ||= {})[key] = coerce(field, value);
+      } catch(e) {
+        errors.push(`${section}.${key}: ${e.message}`);
+      }
+    }
+  }
+  return { values, errors };
+}
+
+function defaults() {
+  return Object.fromEntries(Object.entries(SCHEMA).map(([section, spec]) =>
+    [section, Object.fromEntries(Object.entries(spec.fields).map(([key, f]) => [key, f.default]))]));
+}
+
+function merge(overrides) {
+  const out = defaults();
+  for (const [section, values] of Object.entries(overrides)) Object.assign(out[section], values);
+  return out;
+}
+
+let overrides = {};   // what the file sets, validated
+let current = merge({});
+let lastWrite = 0;
+// Restart-only settings as they were when the server started
+const startup = {};
+const listeners = [];
+
+function read() {
+  let data;
+  try { data = JSON.parse(fs.readFileSync(FILE, 'utf8')); } catch(e) {
+    if (e.code === 'ENOENT') return { values: {}, errors: [] };
+    return { values: null, errors: [`config.json: ${e.message}`] };
+  }
+  return validate(data);
+}
+
+// Re-reads the file. A file that isn't valid JSON is ignored as a whole; single bad
+// settings are left out, so they fall back to their defaults.
+function load() {
+  const { values, errors } = read();
+  for (const e of errors) console.warn(`⚠ ${FILE}: ${e}`);
+  if (values) {
+    overrides = values;
+    current = merge(overrides);
+  }
+  // The first load fixes the restart-only settings, from the defaults if the file is broken
+  for (const [section, spec] of Object.entries(SCHEMA)) {
+    for (const [key, f] of Object.entries(spec.fields)) {
+      if (f.restart && !(`${section}.${key}` in startup)) startup[`${section}.${key}`] = current[section][key];
+    }
+  }
+  return !!values;
+}
+
+function changed() {
+  for (const fn of listeners) {
+    try { fn(current); } catch(e) { console.error('Config listener failed:', e.message); }
+  }
+}
+
+// The settings now in force: { session: { model, … }, prompt: { system }, limits, paths, features }.
+// Don't change the object; use update().
+function get() {
+  return current;
+}
+
+// patch: { section: { key: value } }; null puts a setting back to its default. Throws
+// with err.errors listing every problem, and changes nothing, if any value is invalid.
+function update(patch) {
+  const cleared = [];
+  const given = Object.create(null);
+  for (const [section, values] of Object.entries(patch || {})) {
+    // Created even when empty, so validate() reports a section that doesn't exist
+    given[section] ||= {};
+    for (const [key, value] of Object.entries(values || {})) {
+      if (value === null) cleared.push([section, key]);
+      else given[section][key] = value;
+    }
+  }
+  const { values, errors } = validate(given);
+  for (const [section, key] of cleared) if (!fieldOf(section, key)) errors.push(`${section}.${key}: unknown setting`);
+  if (errors.length) throw Object.assign(new Error(errors.join('; ')), { errors });
+
+  const next = JSON.parse(JSON.stringify(overrides));
+  for (const [section, vals] of Object.entries(values)) Object.assign(next[section] ||= {}, vals);
+  for (const [section, key] of cleared) {
+    if (next[section]) delete next[section][key];
+    if (next[section] && !Object.keys(next[section]).length) delete next[section];
+  }
+  fs.mkdirSync(path.dirname(FILE), { recursive: true });
+  const tmp = `${FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(next, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, FILE);
+  lastWrite = fs.statSync(FILE).mtimeMs;
+  overrides = next;
+  current = merge(overrides);
+  changed();
+  return current;
+}
+
+// For the settings panel: every field with its current value, default, whether the file
+// sets it, and whether a change waits for a restart
+function describe() {
+  return Object.entries(SCHEMA).map(([section, spec]) => ({
+    section,
+    label: spec.label,
+    fields: Object.entries(spec.fields).map(([key, f]) => ({
+      key,
+      label: f.label,
+      help: f.help || null,
+      type: f.type,
+      values: f.values || null,
+      min: f.min ?? null,
+      max: f.max ?? null,
+      default: f.default,
+      value: current[section][key],
+      set: key in (overrides[section] || {}),
+      restart: !!f.restart,
+      pending: !!f.restart && JSON.stringify(startup[`${section}.${key}`]) !== JSON.stringify(current[section][key]),
+    })),
+  }));
+}
+
+// fn(config) after every change, from update() or an edit to the file
+function onChange(fn) {
+  listeners.push(fn);
+}
+
+// Value of a restart-only setting as the server started with it
+function atStartup(section, key) {
+  return startup[`${section}.${key}`];
+}
+
+load();
+// Hand edits are picked up within a couple of seconds
+fs.watchFile(FILE, { interval: 2000 }, (cur, prev) => {
+  if (cur.mtimeMs === prev.mtimeMs || cur.mtimeMs === lastWrite) return;
+  try {
+    if (!load()) return;
+  } catch(e) {
+    console.error(`⚠ ${FILE}: couldn't reload:`, e.message);
+    return;
+  }
+  console.log(`⚙️  Reloaded ${FILE}`);
+  changed();
+}).unref();
+
+module.exports = { FILE, SCHEMA, get, update, describe, onChange, atStartup, expand };
@@ -0,0 +1,83 @@
+// Minimal 5-field cron ("min hour day-of-month month day-of-week") for scheduled prompts.
+// Supports *, lists, ranges, steps, month/day names and @hourly/@daily/@weekly/@monthly.
+// Times are evaluated in the server's local timezone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+function parseValue(v, field) {
+  const named = field.names?.indexOf(v.toLowerCase());
+  if (named >= 0) return named + field.offset;
+  if (!/^\d+$/.test(v)) throw new Error(`Invalid ${field.name}: ${v}`);
+  const n = Number(v);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} out of range: ${v}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${part}`);
+    let lo, hi;
+    if (range === '*') { lo = field.min; hi = field.max; }
+    else if (range.includes('-')) [lo, hi] = range.split('-').map(v => parseValue(v, field));
+    else { lo = parseValue(range, field); hi = stepText === undefined ? lo : field.max; }
+    if (lo > hi) throw new Error(`Invalid range in ${field.name}: ${part}`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Throws with a readable message if the expression is invalid
+function parse(expr) {
+  const text = ALIASES[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expressions need 5 fields: minute hour day month weekday');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function dayMatches(c, d) {
+  const dom = c.dom.has(d.getDate()), dow = c.dow.has(d.getDay());
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return dow;
+  if (c.dowAny) return dom;
+  return dom || dow;
+}
+
+// Next matching time (ms) strictly after `from`, or null if none within ~5 years
+function nextRun(expr, from = Date.now()) {
+  const c = typeof expr === 'string' ? parse(expr) : expr;
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) { d.setMonth(d.getMonth() + 1, 1); d.setHours(0, 0); continue; }
+    if (!dayMatches(c, d)) { d.setDate(d.getDate() + 1); d.setHours(0, 0); continue; }
+    if (!c.hour.has(d.getHours())) { d.setHours(d.getHours() + 1, 0); continue; }
+    if (!c.minute.has(d.getMinutes())) { d.setMinutes(d.getMinutes() + 1); continue; }
+    return d.getTime();
+  }
+  return null;
+}
+
+module.exports = { parse, nextRun };
@@ -0,0 +1,222 @@
+// Session exports — a transcript rendered as Markdown, standalone HTML or JSON.
+// `meta` is the session's public description ({ label, model, effort, cwd, … });
+// `events` are transcript entries as returned by transcript.all().
+const { esc, renderMd } = require('./markdown');
+
+const FORMATS = {
+  md:   { ext: 'md',   contentType: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+// Own keys only, so names like "constructor" that every object inherits aren't formats
+function isFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(FORMATS, format);
+}
+
+function fmtTime(ts) {
+  return ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+}
+
+function toolInput(input) {
+  return typeof input === 'string' ? input : JSON.stringify(input ?? {}, null, 2);
+}
+
+// Groups events into turns: { role: 'user'|'claude'|'plan'|'system'|'error', ts, text | parts, … }
+function turns(events) {
+  const out = [];
+  const tools = new Map();
+  let claude = null;
+  const push = (turn) => { out.push(turn); return turn; };
+  for (const e of events) {
+    switch (e.type) {
+      case 'user_msg':
+        claude = null;
+        push({ role: 'user', ts: e.ts, text: e.text, model: e.model, effort: e.effort });
+        break;
+      case 'token':
+      case 'tool_use':
+        if (!claude) claude = push({ role: 'claude', ts: e.ts, parts: [] });
+        if (e.type === 'token') {
+          const last = claude.parts[claude.parts.length - 1];
+          if (last?.text !== undefined) last.text += e.text; else claude.parts.push({ text: e.text });
+        } else {
+          const tool = { name: e.name, input: e.input, result: null };
+          tools.set(e.id, tool);
+          claude.parts.push({ tool });
+        }
+        break;
+      case 'tool_result': {
+        const tool = tools.get(e.tool_use_id);
+        if (tool) tool.result = e.content;
+        break;
+      }
+      case 'plan_waiting':
+        claude = null;
+        if (e.plan) push({ role: 'plan', ts: e.ts, text: e.plan });
+        break;
+      case 'sys_msg':
+      case 'note':
+        push({ role: 'system', ts: e.ts, text: e.text });
+        break;
+      case 'error':
+        claude = null;
+        push({ role: 'error', ts: e.ts, text: e.text });
+        break;
+      case 'done':
+        claude = null;
+        if (e.error) push({ role: 'system', ts: e.ts, text: `⚠ ${e.reason || 'Claude exited with an error'}` });
+        if (e.subtype === 'cancelled') push({ role: 'system', ts: e.ts, text: 'Cancelled' });
+        break;
+    }
+  }
+  return out;
+}
+
+function metaLines(meta) {
+  return [
+    ['Model', meta.model], ['Effort', meta.effort], ['Agent', meta.agentName],
+    ['Project', meta.cwd], ['Started', fmtTime(meta.createdAt)], ['Exported', fmtTime(meta.exportedAt)],
+  ].filter(([, v]) => v);
+}
+
+// A code fence longer than any backtick run inside the text
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(m => m.length));
+  const f = '`'.repeat(longest + 1);
+  return `${f}${lang}\n${text}\n${f}`;
+}
+
+function toMarkdown(meta, events) {
+  const lines = [`# ${meta.label || 'Session'}`, ''];
+  for (const [k, v] of metaLines(meta)) lines.push(`- **${k}:** ${v}`);
+  lines.push('', '---', '');
+  for (const t of turns(events)) {
+    if (t.role === 'user') {
+      const ran = [t.model, t.effort && `${t.effort} effort`].filter(Boolean).join(', ');
+      lines.push(`## 🧑 You · ${fmtTime(t.ts)}${ran ? ` · ${ran}` : ''}`, '', t.text, '');
+    } else if (t.role === 'claude') {
+      lines.push(`## 🤖 Claude · ${fmtTime(t.ts)}`, '');
+      for (const p of t.parts) {
+        if (p.text !== undefined) { lines.push(p.text.trim(), ''); continue; }
+        lines.push(`**⚙ ${p.tool.name}**`, '', fence(toolInput(p.tool.input), 'json'), '');
+        if (p.tool.result !== null) lines.push('<details><summary>Result</summary>', '', fence(p.tool.result), '', '</details>', '');
+      }
+    } else if (t.role === 'plan') {
+      lines.push(`## 📋 Plan · ${fmtTime(t.ts)}`, '', t.text, '');
+    } else {
+      lines.push(`> ${t.role === 'error' ? '❌ ' : ''}${t.text.replace(/\n/g, '\n> ')}`, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+const HTML_STYLE = `
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  :root {
+    --bg: #0d0d0d; --surface: #1a1a1a; --surface2: #222; --border: #2a2a2a; --text: #e8e8e8;
+    --muted: #666; --accent: #d97757; --user-bg: #1a2535; --user-text: #b8d0ee;
+    --tool-bg: #141a14; --tool-border: #253025; --tool-text: #6eb86e;
+    --error-bg: #1f1212; --error-border: #3d1f1f; --error-text: #d47070; --radius: 18px;
+  }
+  body { background: var(--bg); color: var(--text); font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Text', sans-serif; font-size: 16px; line-height: 1.55; }
+  main { max-width: 760px; margin: 0 auto; padding: 16px; display: flex; flex-direction: column; gap: 10px; }
+  header { padding-bottom: 12px; border-bottom: 1px solid var(--border); margin-bottom: 6px; }
+  h1 { font-size: 20px; color: var(--accent); margin-bottom: 6px; }
+  .meta { font-size: 12px; color: var(--muted); }
+  .banner { font-size: 12px; color: var(--muted); text-align: center; padding: 6px; border: 1px solid var(--border); border-radius: 10px; }
+  .msg { max-width: 90%; }
+  .msg.user { align-self: flex-end; }
+  .msg.claude { align-self: flex-start; }
+  .msg.system, .msg.plan { align-self: center; max-width: 100%; }
+  .ts { font-size: 10px; color: var(--muted); margin: 0 6px 2px; }
+  .msg.user .ts { text-align: right; }
+  .bubble { padding: 10px 14px; border-radius: var(--radius); word-break: break-word; overflow-wrap: anywhere; }
+  .msg.user .bubble { background: var(--user-bg); color: var(--user-text); border-bottom-right-radius: 4px; white-space: pre-wrap; }
+  .msg.claude .bubble { background: var(--surface); border: 1px solid var(--border); border-bottom-left-radius: 4px; }
+  .msg.system .bubble { background: transparent; color: var(--muted); font-size: 12px; text-align: center; white-space: pre-wrap; }
+  .msg.error .bubble { background: var(--error-bg); border: 1px solid var(--error-border); color: var(--error-text); font-size: 13px; }
+  .msg.plan .bubble { background: var(--surface); border: 1px solid var(--border); border-radius: 12px; font-size: 14px; }
+  .bubble strong { font-weight: 600; }
+  .bubble em { font-style: italic; }
+  .bubble code { font-family: 'SF Mono','Fira Code',monospace; font-size: 12.5px; background: rgba(255,255,255,0.08); padding: 1px 5px; border-radius: 4px; }
+  .bubble pre { background: #0a0a0a; border: 1px solid var(--border); border-radius: 10px; padding: 12px; overflow-x: auto; margin: 8px 0; font-size: 12px; white-space: pre; }
+  .bubble pre code { background: none; padding: 0; }
+  .bubble p + p { margin-top: 8px; }
+  details.tool-pill { background: var(--tool-bg); border: 1px solid var(--tool-border); border-radius: 8px; padding: 6px 9px; font-size: 11px; color: var(--tool-text); font-family: 'SF Mono',monospace; margin: 3px 0; }
+  details.tool-pill summary { cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  details.tool-pill pre { margin: 6px 0 0; white-space: pre-wrap; word-break: break-all; color: var(--text); }
+  details.tool-pill .label { color: var(--muted); margin-top: 6px; }
+`;
+
+function toolHtml(tool) {
+  const first = Object.values(tool.input ?? {})[0];
+  const preview = first === undefined ? '' : String(typeof first === 'object' ? JSON.stringify(first) : first).slice(0, 80);
+  return `<details class="tool-pill"><summary>⚙ ${esc(tool.name)}${preview ? ` · ${esc(preview)}` : ''}${tool.result !== null ? ' ✓' : ''}</summary>`
+    + `<div class="label">Input</div><pre>${esc(toolInput(tool.input))}</pre>`
+    + (tool.result !== null ? `<div class="label">Result</div><pre>${esc(tool.result)}</pre>` : '')
+    + '</details>';
+}
+
+// `banner` is shown above the conversation (e.g. "Read-only link · expires …")
+function toHtml(meta, events, { banner } = {}) {
+  const body = turns(events).map(t => {
+    let inner;
+    if (t.role === 'user') inner = esc(t.text);
+    else if (t.role === 'claude') inner = t.parts.map(p => p.text !== undefined ? renderMd(p.text) : toolHtml(p.tool)).join('');
+    else if (t.role === 'plan') inner = `<p><strong>📋 Plan</strong></p>${renderMd(t.text)}`;
+    else if (t.role === 'error') inner = renderMd(t.text);
+    else inner = esc(t.text);
+    const ts = t.role === 'system' ? '' : `<div class="ts">${esc(fmtTime(t.ts))}${t.model ? ` · ${esc(t.model)}` : ''}</div>`;
+    return `<div class="msg ${t.role}">${ts}<div class="bubble">${inner}</div></div>`;
+  }).join('\n');
+  const details = metaLines(meta).map(([k, v]) => `${esc(k)}: ${esc(v)}`).join(' · ');
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<meta name="robots" content="noindex"/>
+<title>${esc(meta.label || 'Session')} · Claude Code</title>
+<style>${HTML_STYLE}</style></head><body><main>
+<header><h1>${esc(meta.label || 'Session')}</h1><div class="meta">${details}</div></header>
+${banner ? `<div class="banner">${esc(banner)}</div>` : ''}
+${body || '<div class="msg system"><div class="bubble">No messages yet</div></div>'}
+</main></body></html>`;
+}
+
+// The conversation as plain text for priming a forked session that can't resume the
+// original with --fork-session. Keeps the newest turns that fit in `maxChars`; tool
+// calls become one line each and their output is left out.
+function toReplay(events, maxChars = 40000) {
+  const blocks = [];
+  for (const t of turns(events)) {
+    if (t.role === 'user') blocks.push(`User: ${t.text}`);
+    else if (t.role === 'plan') blocks.push(`Assistant's plan:\n${t.text}`);
+    else if (t.role === 'claude') {
+      const parts = t.parts.map(p => p.text !== undefined ? p.text.trim()
+        : `[used ${p.tool.name}: ${toolInput(p.tool.input).replace(/\s+/g, ' ').slice(0, 200)}]`).filter(Boolean);
+      if (parts.length) blocks.push(`Assistant: ${parts.join('\n')}`);
+    }
+  }
+  const kept = [];
+  let size = 0;
+  for (let i = blocks.length - 1; i >= 0 && size + blocks[i].length <= maxChars; i--) {
+    kept.unshift(blocks[i]);
+    size += blocks[i].length + 2;
+  }
+  if (kept.length < blocks.length) kept.unshift(`(${blocks.length - kept.length} earlier messages left out)`);
+  return kept.join('\n\n');
+}
+
+function toJSON(meta, events) {
+  return JSON.stringify({ format: 'claude-mobile-transcript', version: 1, session: meta, events }, null, 2);
+}
+
+// { body, contentType, filename } for one of FORMATS
+function render(format, meta, events, options) {
+  if (!isFormat(format)) throw new Error(`Unknown export format: ${format}`);
+  const f = FORMATS[format];
+  const body = format === 'md' ? toMarkdown(meta, events) : format === 'html' ? toHtml(meta, events, options) : toJSON(meta, events);
+  const slug = String(meta.label || 'session').toLowerCase().replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '') || 'session';
+  return { body, contentType: f.contentType, filename: `${slug}-${new Date(meta.exportedAt || Date.now()).toISOString().slice(0, 10)}.${f.ext}` };
+}
+
+module.exports = { FORMATS, isFormat, render, toMarkdown, toHtml, toJSON, toReplay };
@@ -0,0 +1,127 @@
+// Project file browsing and editing for the files panel. Paths are resolved inside the
+// session's project directory after following symlinks, so nothing outside it can be
+// listed, read or written.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const MAX_TEXT = 512 * 1024;
+const MAX_ENTRIES = 2000;
+const HIDDEN = new Set(['.git', '.DS_Store']);
+const IMAGE_EXTS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.ico', '.bmp']);
+
+const MIME = {
+  '.html': 'text/html', '.css': 'text/css', '.js': 'text/plain',
+  '.json': 'application/json', '.md': 'text/plain', '.txt': 'text/plain',
+  '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.svg': 'image/svg+xml', '.csv': 'text/csv', '.ico': 'image/x-icon', '.bmp': 'image/bmp',
+  '.py': 'text/plain', '.ts': 'text/plain', '.tsx': 'text/plain', '.jsx': 'text/plain',
+};
+
+function contentType(name) {
+  return MIME[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+// { real, rel } for a path inside root. Accepts paths relative to root, or absolute
+// ones that point into it (as Claude tends to write them). Trailing ":line" is ignored.
+function resolveInside(root, p) {
+  const realRoot = fs.realpathSync(root);
+  const wanted = String(p || '').replace(/:\d+(?::\d+)?$/, '');
+  const inside = (target, dir) => target === dir || target.startsWith(dir + path.sep);
+  const asked = path.resolve(realRoot, wanted.replace(/^~(?=$|\/)/, os.homedir()));
+  // Checked before touching the disk too, so errors don't reveal what exists outside
+  if (!inside(asked, realRoot) && !inside(asked, path.resolve(root))) throw new Error('That path is outside the project');
+  let real;
+  try {
+    real = fs.realpathSync(asked);
+  } catch(e) {
+    throw new Error(`Not found: ${wanted}`);
+  }
+  if (!inside(real, realRoot)) throw new Error('That path is outside the project');
+  return { real, rel: path.relative(realRoot, real).split(path.sep).join('/') };
+}
+
+function list(root, dir) {
+  const { real, rel } = resolveInside(root, dir);
+  if (!fs.statSync(real).isDirectory()) throw new Error(`Not a directory: ${rel}`);
+  const entries = [];
+  for (const d of fs.readdirSync(real, { withFileTypes: true })) {
+    if (HIDDEN.has(d.name)) continue;
+    let stat;
+    try { stat = fs.statSync(path.join(real, d.name)); } catch(e) { continue; } // dangling symlink
+    entries.push({ name: d.name, path: rel ? `${rel}/${d.name}` : d.name, dir: stat.isDirectory(), size: stat.size, mtime: stat.mtimeMs });
+  }
+  entries.sort((a, b) => (b.dir - a.dir) || a.name.localeCompare(b.name));
+  return { root: fs.realpathSync(root), path: rel, entries: entries.slice(0, MAX_ENTRIES), truncated: entries.length > MAX_ENTRIES };
+}
+
+function kindOf(real, size) {
+  const ext = path.extname(real).toLowerCase();
+  if (IMAGE_EXTS.has(ext)) return 'image';
+  if (ext === '.pdf') return 'pdf';
+  if (!size) return 'text';
+  // A NUL byte in the first few KB means binary
+  const fd = fs.openSync(real, 'r');
+  try {
+    const buf = Buffer.alloc(Math.min(size, 8192));
+    fs.readSync(fd, buf, 0, buf.length, 0);
+    return buf.includes(0) ? 'binary' : 'text';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function hashOf(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+// { path, name, size, mtime, kind: 'text'|'image'|'pdf'|'binary', content?, truncated?, hash? }
+// Text files carry the hash of their full contents, which a later save() must quote.
+function read(root, file) {
+  const { real, rel } = resolveInside(root, file);
+  const stat = fs.statSync(real);
+  if (stat.isDirectory()) throw new Error(`${rel || '.'} is a directory`);
+  const out = { path: rel, name: path.basename(real), size: stat.size, mtime: stat.mtimeMs, kind: kindOf(real, stat.size) };
+  if (out.kind === 'text') {
+    const buf = fs.readFileSync(real);
+    out.content = buf.subarray(0, MAX_TEXT).toString('utf8');
+    out.truncated = buf.length > MAX_TEXT;
+    out.hash = hashOf(buf);
+  }
+  return out;
+}
+
+// Replaces a text file with an edit made from the phone, unless it has changed since the
+// version with `baseHash` was read. Returns { saved } with the new state, or { conflict }
+// with what is on disk now.
+function save(root, file, content, baseHash) {
+  const { real } = resolveInside(root, file);
+  const stat = fs.statSync(real);
+  if (!stat.isFile()) throw new Error('Not a file');
+  if (typeof content !== 'string') throw new Error('Nothing to save');
+  if (Buffer.byteLength(content) > MAX_TEXT) throw new Error('Too large to edit from the phone');
+  if (hashOf(fs.readFileSync(real)) !== baseHash) return { conflict: read(root, file) };
+  // Written beside the file and renamed over it, so a failed write never leaves half a file
+  const tmp = path.join(path.dirname(real), `.${path.basename(real)}.${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(tmp, content);
+    fs.chmodSync(tmp, stat.mode & 0o7777);
+    fs.renameSync(tmp, real);
+  } catch(e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+  return { saved: read(root, file) };
+}
+
+// { real, name, size, contentType } for streaming a file's raw bytes
+function open(root, file) {
+  const { real } = resolveInside(root, file);
+  const stat = fs.statSync(real);
+  if (!stat.isFile()) throw new Error('Not a file');
+  return { real, name: path.basename(real), size: stat.size, contentType: contentType(real) };
+}
+
+module.exports = { MIME, contentType, resolveInside, list, read, save, open };
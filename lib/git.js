@@ -0,0 +1,109 @@
+// Git operations for the mobile git panel — always run inside a session's project directory
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_DIFF = 256 * 1024;
+
+function runGit(cwd, args, { okCodes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: 20000, maxBuffer: 8 * 1024 * 1024 }, (err, stdout, stderr) => {
+      const code = err ? (typeof err.code === 'number' ? err.code : -1) : 0;
+      if (!okCodes.includes(code)) return reject(new Error((stderr || err?.message || 'git failed').trim()));
+      resolve(stdout);
+    });
+  });
+}
+
+// Rejects anything git could mistake for an option
+function checkPaths(paths) {
+  const list = (Array.isArray(paths) ? paths : [paths]).map(String);
+  if (!list.length || list.some(p => !p || p.startsWith('-') || path.isAbsolute(p) || p.split(/[\\/]/).includes('..'))) {
+    throw new Error('Invalid file path');
+  }
+  return list;
+}
+
+function checkBranch(name) {
+  if (!/^(?!-)(?!.*\.\.)[\w./-]{1,100}$/.test(String(name || '')) || String(name).endsWith('.lock')) throw new Error('Invalid branch name');
+  return String(name);
+}
+
+async function status(cwd) {
+  const out = await runGit(cwd, ['status', '--porcelain=v1', '--branch', '-z', '--untracked-files=all']);
+  const entries = out.split('\0').filter(Boolean);
+  const result = { branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    if (e.startsWith('## ')) {
+      // "## main...origin/main [ahead 1, behind 2]"
+      const [refs, info = ''] = e.slice(3).replace(/^No commits yet on /, '').split(' [');
+      const [branch, upstream] = refs.split('...');
+      result.branch = branch;
+      result.upstream = upstream || null;
+      result.ahead = +(/ahead (\d+)/.exec(info)?.[1] || 0);
+      result.behind = +(/behind (\d+)/.exec(info)?.[1] || 0);
+      continue;
+    }
+    const x = e[0], y = e[1], file = e.slice(3);
+    // Renames carry the original path as the next NUL-separated entry
+    const from = (x === 'R' || x === 'C') ? entries[++i] : null;
+    result.files.push({
+      path: file, from, index: x, worktree: y,
+      staged: x !== ' ' && x !== '?',
+      unstaged: y !== ' ',
+      untracked: x === '?',
+    });
+  }
+  return result;
+}
+
+async function diff(cwd, file, staged) {
+  const [p] = checkPaths(file);
+  let out;
+  if (!staged && fs.existsSync(path.join(cwd, p)) && !(await isTracked(cwd, p))) {
+    // Untracked files diff against nothing (exit code 1 means "differences found")
+    out = await runGit(cwd, ['diff', '--no-index', '--no-color', '--', '/dev/null', p], { okCodes: [0, 1] });
+  } else {
+    out = await runGit(cwd, ['diff', '--no-color', ...(staged ? ['--cached'] : []), '--', p]);
+  }
+  return { diff: out.slice(0, MAX_DIFF), truncated: out.length > MAX_DIFF };
+}
+
+async function isTracked(cwd, p) {
+  const out = await runGit(cwd, ['ls-files', '--', p]);
+  return out.trim().length > 0;
+}
+
+async function stage(cwd, paths) {
+  await runGit(cwd, ['add', '--', ...checkPaths(paths)]);
+}
+
+async function unstage(cwd, paths) {
+  await runGit(cwd, ['reset', '-q', '--', ...checkPaths(paths)]);
+}
+
+async function commit(cwd, message) {
+  const msg = String(message || '').trim();
+  if (!msg) throw new Error('Commit message is required');
+  return (await runGit(cwd, ['commit', '-m', msg])).trim();
+}
+
+async function branches(cwd) {
+  const out = await runGit(cwd, ['branch', '--format=%(HEAD)%(refname:short)']);
+  const list = out.split('\n').filter(Boolean).map(l => ({ name: l.slice(1), current: l[0] === '*' }));
+  return { branches: list, current: list.find(b => b.current)?.name || null };
+}
+
+async function checkout(cwd, branch, create) {
+  const name = checkBranch(branch);
+  await runGit(cwd, create ? ['checkout', '-b', name] : ['checkout', name]);
+}
+
+// Top of the work tree containing cwd (status paths are relative to it), or null
+async function repoRoot(cwd) {
+  try { return (await runGit(cwd, ['rev-parse', '--show-toplevel'])).trim() || null; }
+  catch(e) { return null; }
+}
+
+module.exports = { status, diff, stage, unstage, commit, branches, checkout, repoRoot };
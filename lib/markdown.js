@@ -0,0 +1,59 @@
+// Markdown renderer shared by the app (served as /markdown.js) and the server's
+// HTML exports, so a shared transcript looks the same as it does on the phone.
+function inlineMd(t) {
+  return t.replace(/`([^`]+)`/g,'<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g,'<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g,'<em>$1</em>');
+}
+
+function renderMd(text) {
+  const lines = text.split('\n');
+  let html = '', inCode = false, codeLang = '', codeLines = [], inTable = false, tableLines = [];
+
+  const flushTable = () => {
+    if(!tableLines.length) return;
+    const [header, sep, ...rows] = tableLines;
+    const cols = header.split('|').filter((_,i,a) => i>0 && i<a.length-1);
+    let t = '<div style="overflow-x:auto;margin:8px 0"><table style="border-collapse:collapse;width:100%;font-size:13px">';
+    t += '<thead><tr>' + cols.map(c=>`<th style="border:1px solid var(--border);padding:6px 10px;background:var(--surface2);text-align:left">${inlineMd(esc(c.trim()))}</th>`).join('') + '</tr></thead>';
+    t += '<tbody>';
+    for(const row of rows) {
+      const cells = row.split('|').filter((_,i,a) => i>0 && i<a.length-1);
+      t += '<tr>' + cells.map(c=>`<td style="border:1px solid var(--border);padding:6px 10px">${inlineMd(esc(c.trim()))}</td>`).join('') + '</tr>';
+    }
+    t += '</tbody></table></div>';
+    html += t;
+    tableLines = []; inTable = false;
+  };
+
+  for(const line of lines) {
+    if(line.startsWith('```')) {
+      if(inTable) flushTable();
+      if(!inCode) { inCode=true; codeLang=line.slice(3).trim(); codeLines=[]; }
+      else { html+=`<pre><code class="language-${esc(codeLang)}">${esc(codeLines.join('\n'))}</code></pre>`; inCode=false; }
+      continue;
+    }
+    if(inCode) { codeLines.push(line); continue; }
+
+    if(line.includes('|')) {
+      if(!inTable) { inTable=true; tableLines=[]; }
+      tableLines.push(line);
+      continue;
+    } else if(inTable) { flushTable(); }
+
+    if(line.startsWith('### ')) html+=`<p><strong>${inlineMd(esc(line.slice(4)))}</strong></p>`;
+    else if(line.startsWith('## ')) html+=`<p><strong>${inlineMd(esc(line.slice(3)))}</strong></p>`;
+    else if(line.startsWith('# ')) html+=`<p><strong>${inlineMd(esc(line.slice(2)))}</strong></p>`;
+    else if(line.startsWith('- ') || line.startsWith('* ')) html+=`<p>• ${inlineMd(esc(line.slice(2)))}</p>`;
+    else if(/^\d+\. /.test(line)) html+=`<p>${inlineMd(esc(line))}</p>`;
+    else if(line.trim()==='') html+=``;
+    else html+=`<p>${inlineMd(esc(line))}</p>`;
+  }
+  if(inCode) html+=`<pre><code>${esc(codeLines.join('\n'))}</code></pre>`;
+  if(inTable) flushTable();
+  return html;
+}
+
+function esc(t) { return String(t).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+
+if (typeof module !== 'undefined') module.exports = { esc, inlineMd, renderMd };
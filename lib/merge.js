@@ -0,0 +1,63 @@
+// Line-based 3-way merge for the file editor. When a save finds the file changed on
+// disk, the user's edit ("mine") and the disk version ("theirs") are merged against
+// the text the edit started from ("base"); only overlapping changes become conflicts.
+
+// Above this many cells the middle of a diff is treated as one replaced block
+const MAX_LCS_CELLS = 4000000;
+
+// For each line of a, the index of the matching line in b (or -1), from a longest common subsequence
+function matchLines(a, b) {
+  const match = new Array(a.length).fill(-1);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) { match[start] = start; start++; }
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; match[endA] = endB; }
+  const n = endA - start, m = endB - start;
+  if (!n || !m || n * m > MAX_LCS_CELLS) return match;
+  // lcs[i][j] = length of the LCS of a[start+i..endA) and b[start+j..endB)
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (a[start + i] === b[start + j]) { match[start + i] = start + j; i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) i++;
+    else j++;
+  }
+  return match;
+}
+
+const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+// [{ lines }] for settled text and [{ conflict: { base, mine, theirs } }] where both sides
+// changed the same lines differently. Each value is an array of lines.
+function merge3(baseText, mineText, theirsText) {
+  const base = baseText.split('\n'), mine = mineText.split('\n'), theirs = theirsText.split('\n');
+  const toMine = matchLines(base, mine), toTheirs = matchLines(base, theirs);
+  const chunks = [];
+  const settle = (lines) => {
+    if (!lines.length) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.lines) last.lines.push(...lines); else chunks.push({ lines: [...lines] });
+  };
+  let i = 0, j = 0, k = 0;
+  while (i <= base.length) {
+    // The next base line both sides kept is where this stretch ends
+    let s = i;
+    while (s < base.length && (toMine[s] < 0 || toTheirs[s] < 0)) s++;
+    const mEnd = s < base.length ? toMine[s] : mine.length;
+    const tEnd = s < base.length ? toTheirs[s] : theirs.length;
+    const b = base.slice(i, s), m = mine.slice(j, mEnd), t = theirs.slice(k, tEnd);
+    if (same(m, b)) settle(t);
+    else if (same(t, b) || same(m, t)) settle(m);
+    else chunks.push({ conflict: { base: b, mine: m, theirs: t } });
+    if (s >= base.length) break;
+    settle([base[s]]);
+    i = s + 1; j = mEnd + 1; k = tEnd + 1;
+  }
+  return chunks;
+}
+
+module.exports = { merge3 };
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Minimal stdio MCP server used as Claude's --permission-prompt-tool.
+// Every tool call Claude wants to make is forwarded to the mobile server,
+// which asks the phone (or applies the session's policy) and answers with
+// { behavior: 'allow', updatedInput } or { behavior: 'deny', message }.
+const http = require('http');
+const readline = require('readline');
+
+const SERVER_URL  = process.env.CCM_PERMISSION_URL;
+const TOKEN       = process.env.CCM_PERMISSION_TOKEN;
+const SESSION_KEY = process.env.CCM_SESSION_KEY;
+
+const TOOL = {
+  name: 'approve',
+  description: 'Ask the Claude Code Mobile user whether a tool call may run',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool_name:   { type: 'string' },
+      input:       { type: 'object' },
+      tool_use_id: { type: 'string' },
+    },
+    required: ['tool_name', 'input'],
+  },
+};
+
+function reply(id, result) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\n');
+}
+
+function replyError(id, code, message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, error: { code, message } }) + '\n');
+}
+
+// Long-poll the mobile server until the user (or policy) decides
+function askServer(args) {
+  return new Promise((resolve) => {
+    const body = JSON.stringify({ sessionKey: SESSION_KEY, toolName: args.tool_name, input: args.input || {}, toolUseId: args.tool_use_id || null });
+    const req = http.request(SERVER_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'X-Permission-Token': TOKEN },
+    }, (res) => {
+      let data = '';
+      res.on('data', c => data += c);
+      res.on('end', () => {
+        try { resolve(JSON.parse(data)); }
+        catch(e) { resolve({ behavior: 'deny', message: 'Permission server returned an invalid response' }); }
+      });
+    });
+    req.on('error', e => resolve({ behavior: 'deny', message: `Permission server unreachable: ${e.message}` }));
+    req.end(body);
+  });
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+rl.on('line', async (line) => {
+  let msg;
+  try { msg = JSON.parse(line); } catch { return; }
+  const { id, method, params } = msg;
+
+  if (method === 'initialize') {
+    reply(id, {
+      protocolVersion: params?.protocolVersion || '2024-11-05',
+      capabilities: { tools: {} },
+      serverInfo: { name: 'claude-mobile-permissions', version: '1.0.0' },
+    });
+  } else if (method === 'tools/list') {
+    reply(id, { tools: [TOOL] });
+  } else if (method === 'tools/call') {
+    if (params?.name !== TOOL.name) return replyError(id, -32602, `Unknown tool: ${params?.name}`);
+    const decision = await askServer(params.arguments || {});
+    if (decision.behavior === 'allow' && !decision.updatedInput) decision.updatedInput = params.arguments?.input || {};
+    reply(id, { content: [{ type: 'text', text: JSON.stringify(decision) }] });
+  } else if (method === 'ping') {
+    reply(id, {});
+  } else if (id !== undefined) {
+    replyError(id, -32601, `Method not found: ${method}`);
+  }
+});
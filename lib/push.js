@@ -0,0 +1,171 @@
+// Web Push without third-party packages: VAPID (RFC 8292) auth plus aes128gcm
+// payload encryption (RFC 8291). Keys live in ~/claude-mobile/vapid.json and
+// subscriptions in ~/claude-mobile/push-subscriptions.json.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const DATA_DIR = path.join(os.homedir(), 'claude-mobile');
+const VAPID_FILE = path.join(DATA_DIR, 'vapid.json');
+const SUBS_FILE = path.join(DATA_DIR, 'push-subscriptions.json');
+const SUBJECT = process.env.VAPID_SUBJECT || 'mailto:claude-mobile@localhost';
+// Browsers' push services are all https; PUSH_ALLOW_HTTP=1 lets a local stand-in be used for testing
+const ALLOW_HTTP = /^(1|true|yes)$/i.test(process.env.PUSH_ALLOW_HTTP || '');
+
+// The server POSTs to whatever a subscription names, so it mustn't be a way into the LAN
+function endpointAllowed(endpoint) {
+  let url;
+  try { url = new URL(endpoint); } catch(e) { return false; }
+  return url.protocol === 'https:' || (ALLOW_HTTP && url.protocol === 'http:');
+}
+
+function writePrivate(file, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// { publicKey: base64url uncompressed P-256 point, jwk: private key }
+function loadVapid() {
+  try {
+    if (fs.existsSync(VAPID_FILE)) return JSON.parse(fs.readFileSync(VAPID_FILE, 'utf8'));
+  } catch(e) {
+    console.error('Failed to load VAPID keys:', e.message);
+  }
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = privateKey.export({ format: 'jwk' });
+  const publicKey = Buffer.concat([Buffer.from([4]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]).toString('base64url');
+  const keys = { publicKey, jwk };
+  try { writePrivate(VAPID_FILE, keys); } catch(e) { console.error('Failed to save VAPID keys:', e.message); }
+  return keys;
+}
+
+const vapid = loadVapid();
+const signingKey = crypto.createPrivateKey({ key: vapid.jwk, format: 'jwk' });
+
+let subscriptions = loadSubscriptions();
+
+function loadSubscriptions() {
+  try {
+    if (!fs.existsSync(SUBS_FILE)) return [];
+    return JSON.parse(fs.readFileSync(SUBS_FILE, 'utf8'));
+  } catch(e) {
+    console.error('Failed to load push subscriptions:', e.message);
+    return [];
+  }
+}
+
+function saveSubscriptions() {
+  try { writePrivate(SUBS_FILE, subscriptions); } catch(e) { console.error('Failed to save push subscriptions:', e.message); }
+}
+
+// meta: { tokenId, device } — tokenId ties the subscription to a signed-in device
+function subscribe(username, sub, meta = {}) {
+  const endpoint = String(sub?.endpoint || '');
+  if (!endpointAllowed(endpoint) || !sub.keys?.p256dh || !sub.keys?.auth) throw new Error('Invalid push subscription');
+  subscriptions = subscriptions.filter(s => s.endpoint !== endpoint);
+  subscriptions.push({
+    username, endpoint,
+    keys: { p256dh: sub.keys.p256dh, auth: sub.keys.auth },
+    tokenId: meta.tokenId || null,
+    device: String(meta.device || '').slice(0, 120),
+    createdAt: Date.now(),
+  });
+  saveSubscriptions();
+}
+
+function unsubscribe(endpoint) {
+  const before = subscriptions.length;
+  subscriptions = subscriptions.filter(s => s.endpoint !== endpoint);
+  if (subscriptions.length !== before) saveSubscriptions();
+  return subscriptions.length !== before;
+}
+
+function subscriptionsFor(username) {
+  return subscriptions.filter(s => s.username === username);
+}
+
+function vapidHeader(endpoint) {
+  const b64 = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const unsigned = `${b64({ typ: 'JWT', alg: 'ES256' })}.${b64({ aud: new URL(endpoint).origin, exp: Math.floor(Date.now() / 1000) + 12 * 3600, sub: SUBJECT })}`;
+  const sig = crypto.sign('sha256', Buffer.from(unsigned), { key: signingKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+  return `vapid t=${unsigned}.${sig}, k=${vapid.publicKey}`;
+}
+
+// RFC 8291: one aes128gcm record, keyed from an ephemeral ECDH exchange with the browser
+function encrypt(sub, plaintext) {
+  const uaPublic = Buffer.from(sub.keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(sub.keys.auth, 'base64url');
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const shared = ecdh.computeSecret(uaPublic);
+  const hkdf = (salt, ikm, info, len) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, len));
+
+  const ikm = hkdf(authSecret, shared, Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]), 32);
+  const salt = crypto.randomBytes(16);
+  const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  // 0x02 marks the last (and only) record
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(plaintext), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(4096, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+// Resolves with the push service's status code
+function sendNotification(sub, payload, { ttl = 24 * 3600, urgency = 'normal' } = {}) {
+  return new Promise((resolve, reject) => {
+    // Subscriptions saved before plain http was refused
+    if (!endpointAllowed(sub.endpoint)) { reject(new Error('Push endpoints must use https')); return; }
+    const body = encrypt(sub, JSON.stringify(payload));
+    const url = new URL(sub.endpoint);
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'aes128gcm',
+        'Content-Length': body.length,
+        TTL: String(ttl),
+        Urgency: urgency,
+        Authorization: vapidHeader(sub.endpoint),
+      },
+      timeout: 15000,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error('Push service timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Pushes to every subscription of a user that passes `filter`; drops ones the push service says are gone
+async function notifyUser(username, payload, { filter = () => true, urgency } = {}) {
+  const targets = subscriptionsFor(username).filter(filter);
+  let sent = 0;
+  await Promise.all(targets.map(async (sub) => {
+    try {
+      const status = await sendNotification(sub, payload, { urgency });
+      if (status === 404 || status === 410) {
+        unsubscribe(sub.endpoint);
+        console.log(`🔕 Dropped expired push subscription for ${username}`);
+      } else if (status >= 400) {
+        console.error(`🔔 Push to ${username} failed: HTTP ${status}`);
+      } else sent++;
+    } catch(e) {
+      console.error(`🔔 Push to ${username} failed:`, e.message);
+    }
+  }));
+  return sent;
+}
+
+module.exports = { publicKey: vapid.publicKey, subscribe, unsubscribe, subscriptionsFor, sendNotification, notifyUser };
@@ -0,0 +1,222 @@
+// Full-text search over mobile session transcripts and Claude Code's terminal sessions.
+// An in-memory inverted index (term → message ids) is built the first time a file is
+// searched and then kept current by indexing only the bytes appended since, which
+// works because both kinds of file are append-only JSONL.
+const fs = require('fs');
+const claudeHistory = require('./claude-history');
+
+const MAX_DOC_CHARS = 20000;
+const SNIPPET_RADIUS = 70;
+
+const docs = new Map();      // id → { id, file, role, ts, text, terms, seq | index }
+const postings = new Map();  // term → Set of doc ids
+const files = new Map();     // path → { size, ino, tail, docIds, open, project, count }
+let nextDocId = 1;
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [];
+}
+
+function addTerms(doc, text) {
+  for (const term of tokenize(text)) {
+    if (doc.terms.has(term)) continue;
+    doc.terms.add(term);
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(doc.id);
+  }
+}
+
+function addDoc(state, fields) {
+  const doc = { id: nextDocId++, ...fields, text: fields.text.slice(0, MAX_DOC_CHARS), terms: new Set() };
+  docs.set(doc.id, doc);
+  state.docIds.push(doc.id);
+  addTerms(doc, doc.text);
+  return doc;
+}
+
+// Streamed assistant text arrives in pieces; they are joined into one message
+function extendDoc(doc, text) {
+  const room = MAX_DOC_CHARS - doc.text.length;
+  if (room <= 0) return;
+  // Re-read from the start of the word the previous piece ended in
+  let from = doc.text.length;
+  doc.text += text.slice(0, room);
+  while (from > 0 && /[\p{L}\p{N}_]/u.test(doc.text[from - 1])) from--;
+  addTerms(doc, doc.text.slice(from));
+}
+
+function dropFile(file) {
+  const state = files.get(file);
+  if (!state) return;
+  for (const id of state.docIds) {
+    const doc = docs.get(id);
+    for (const term of doc.terms) {
+      const set = postings.get(term);
+      set.delete(id);
+      if (!set.size) postings.delete(term);
+    }
+    docs.delete(id);
+  }
+  files.delete(file);
+}
+
+// Mobile transcript events (lib/transcript.js) become user / claude / tool messages
+function indexMobileEvent(state, e) {
+  const base = { file: state.file, ts: e.ts || 0, seq: e.seq };
+  switch (e.type) {
+    case 'user_msg':
+      state.open = null;
+      addDoc(state, { ...base, role: 'user', text: e.text || '' });
+      break;
+    case 'token':
+      if (state.open) extendDoc(state.open, e.text || '');
+      else state.open = addDoc(state, { ...base, role: 'claude', text: e.text || '' });
+      break;
+    case 'tool_use':
+      addDoc(state, { ...base, role: 'tool', text: `${e.name} ${JSON.stringify(e.input ?? {})}` });
+      break;
+    case 'tool_result':
+      if (e.content) addDoc(state, { ...base, role: 'tool', text: e.content });
+      break;
+    case 'done': case 'error': case 'plan_waiting':
+      state.open = null;
+      break;
+  }
+}
+
+function indexTerminalEntry(state, e) {
+  if (!state.project && e.cwd) state.project = e.cwd;
+  for (const m of claudeHistory.messagesIn(e)) {
+    addDoc(state, { file: state.file, role: m.role, ts: m.ts, text: m.text, index: state.count++ });
+  }
+}
+
+// Indexes whatever was appended to `file` since it was last seen
+function refresh(file, kind) {
+  let stat;
+  try { stat = fs.statSync(file); } catch(e) { dropFile(file); return null; }
+  let state = files.get(file);
+  if (state && (stat.ino !== state.ino || stat.size < state.size)) { dropFile(file); state = null; }
+  if (!state) {
+    state = { file, kind, size: 0, ino: stat.ino, tail: '', docIds: [], open: null, project: null, count: 0 };
+    files.set(file, state);
+  }
+  if (stat.size === state.size) return state;
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(stat.size - state.size);
+    fs.readSync(fd, buf, 0, buf.length, state.size);
+    state.size = stat.size;
+    const lines = (state.tail + buf.toString('utf8')).split('\n');
+    // A partial last line is finished by the next append
+    state.tail = lines.pop();
+    for (const line of lines) {
+      if (!line) continue;
+      let e;
+      try { e = JSON.parse(line); } catch(err) { continue; }
+      if (kind === 'mobile') indexMobileEvent(state, e); else indexTerminalEntry(state, e);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return state;
+}
+
+// Words must all appear; "quoted phrases" must appear as written; the last word
+// also matches as a prefix so results show up while typing.
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]+)"/g, (_, p) => { phrases.push(p.toLowerCase()); return ' '; });
+  const terms = [...new Set([...tokenize(rest), ...phrases.flatMap(tokenize)])];
+  const prefix = !/\s$/.test(rest) && /[\p{L}\p{N}_]$/u.test(rest.trim()) ? tokenize(rest).pop() : null;
+  return { terms, phrases, prefix };
+}
+
+function candidates(q) {
+  let result = null;
+  for (const term of q.terms) {
+    let ids;
+    if (term === q.prefix) {
+      ids = new Set();
+      for (const [t, set] of postings) if (t.startsWith(term)) for (const id of set) ids.add(id);
+    } else {
+      ids = postings.get(term) || new Set();
+    }
+    result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+    if (!result.size) break;
+  }
+  return result || new Set();
+}
+
+// { text, highlights: [[start, end], …] } around the first match
+function snippet(text, q) {
+  const lower = text.toLowerCase();
+  const needles = [...q.phrases, ...q.terms].filter(Boolean);
+  let first = -1;
+  for (const n of needles) {
+    const i = lower.indexOf(n);
+    if (i >= 0 && (first < 0 || i < first)) first = i;
+  }
+  let start = Math.max(0, first - SNIPPET_RADIUS), end = Math.min(text.length, Math.max(first, 0) + SNIPPET_RADIUS * 2);
+  if (start > 0) { const sp = text.indexOf(' ', start); if (sp >= 0 && sp < first) start = sp + 1; }
+  const raw = text.slice(start, end).replace(/\s+/g, ' ');
+  const out = (start > 0 ? '…' : '') + raw + (end < text.length ? '…' : '');
+  const outLower = out.toLowerCase();
+  const ranges = [];
+  for (const n of needles) {
+    for (let i = outLower.indexOf(n); i >= 0; i = outLower.indexOf(n, i + n.length)) ranges.push([i, i + n.length]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]); else merged.push(r);
+  }
+  return { text: out, highlights: merged };
+}
+
+// sources: [{ file, kind: 'mobile'|'terminal', ref, project }] the caller may see.
+// filters: { query, project, from, to, role, limit }. Newest matches first.
+function search(sources, { query, project, from, to, role, limit = 50 } = {}) {
+  const q = parseQuery(query);
+  if (!q.terms.length) return { results: [], total: 0 };
+  const byFile = new Map();
+  for (const src of sources) {
+    const state = refresh(src.file, src.kind);
+    if (state) byFile.set(src.file, { ...src, project: src.project || state.project });
+  }
+  const projectFilter = String(project || '').toLowerCase();
+  const hits = [];
+  for (const id of candidates(q)) {
+    const doc = docs.get(id);
+    const src = byFile.get(doc.file);
+    if (!src) continue;
+    if (role && doc.role !== role) continue;
+    if (from && doc.ts < from) continue;
+    if (to && doc.ts > to) continue;
+    if (projectFilter && !String(src.project || '').toLowerCase().includes(projectFilter)) continue;
+    const lower = doc.text.toLowerCase();
+    if (!q.phrases.every(p => lower.includes(p))) continue;
+    hits.push({ doc, src });
+  }
+  hits.sort((a, b) => b.doc.ts - a.doc.ts);
+  return {
+    total: hits.length,
+    results: hits.slice(0, limit).map(({ doc, src }) => ({
+      source: src.kind,
+      ...src.ref,
+      project: src.project || null,
+      role: doc.role,
+      ts: doc.ts,
+      seq: doc.seq,
+      index: doc.index,
+      snippet: snippet(doc.text, q),
+    })),
+  };
+}
+
+function forget(file) {
+  dropFile(file);
+}
+
+module.exports = { search, forget };
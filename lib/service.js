@@ -0,0 +1,69 @@
+// Restarting and stopping the server from the phone, through whatever keeps it running:
+//   launchd — a Launch Agent on macOS (~/Library/LaunchAgents/<label>.plist)
+//   systemd — a user unit on Linux (~/.config/systemd/user/<name>.service)
+// SERVICE_MANAGER picks one, or "none". Otherwise it's worked out from how the server was
+// started (launchd sets XPC_SERVICE_NAME, systemd INVOCATION_ID) or which of the two files
+// exists. SERVICE_NAME overrides the label / unit name. A server started by hand can be
+// stopped, but restarting needs something to start it again.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+
+const DEFAULT_NAMES = { launchd: 'com.claudemobile.server', systemd: 'claude-mobile' };
+const launchdLabel = /^[\w.-]+\.[\w.-]+$/.test(process.env.XPC_SERVICE_NAME || '') ? process.env.XPC_SERVICE_NAME : null;
+
+function fileFor(manager, name) {
+  if (manager === 'launchd') return path.join(os.homedir(), 'Library', 'LaunchAgents', `${name}.plist`);
+  return path.join(os.homedir(), '.config', 'systemd', 'user', `${name.replace(/\.service$/, '')}.service`);
+}
+
+const MANAGER = (() => {
+  const wanted = (process.env.SERVICE_MANAGER || '').toLowerCase();
+  if (['launchd', 'systemd'].includes(wanted)) return wanted;
+  if (wanted === 'none' || wanted === 'off') return null;
+  if (process.platform === 'darwin' && (launchdLabel || fs.existsSync(fileFor('launchd', process.env.SERVICE_NAME || DEFAULT_NAMES.launchd)))) return 'launchd';
+  if (process.platform === 'linux' && (process.env.INVOCATION_ID || fs.existsSync(fileFor('systemd', process.env.SERVICE_NAME || DEFAULT_NAMES.systemd)))) return 'systemd';
+  return null;
+})();
+const NAME = MANAGER ? process.env.SERVICE_NAME || (MANAGER === 'launchd' && launchdLabel) || DEFAULT_NAMES[MANAGER] : null;
+
+function describe() {
+  if (MANAGER === 'launchd') return `launchd (${NAME})`;
+  if (MANAGER === 'systemd') return `systemd user unit ${NAME.replace(/\.service$/, '')}.service`;
+  return null;
+}
+
+// The command for an action. kickstart -k restarts the job in place, which works even
+// though the command's caller is the job being restarted.
+function commandFor(action) {
+  const uid = process.getuid?.() ?? 0;
+  if (MANAGER === 'launchd') {
+    return action === 'restart'
+      ? ['launchctl', ['kickstart', '-k', `gui/${uid}/${NAME}`]]
+      : ['launchctl', ['unload', fileFor('launchd', NAME)]];
+  }
+  return ['systemctl', ['--user', action, NAME]];
+}
+
+// action: 'restart' or 'stop'. Resolves when the request is made — usually the server is
+// gone soon after — or rejects with the service manager's complaint.
+function control(action) {
+  if (!['restart', 'stop'].includes(action)) return Promise.reject(new Error(`Unknown action: ${action}`));
+  if (!MANAGER) {
+    if (action === 'restart') return Promise.reject(new Error('The server isn\'t running under launchd or systemd, so nothing would start it again — restart it on the machine (or set SERVICE_MANAGER)'));
+    setTimeout(() => process.exit(0), 200);
+    return Promise.resolve();
+  }
+  const [cmd, args] = commandFor(action);
+  return new Promise((resolve, reject) => {
+    // Its own process group, so it isn't taken down with the server halfway through
+    const proc = spawn(cmd, args, { detached: true, stdio: ['ignore', 'ignore', 'pipe'] });
+    let err = '';
+    proc.stderr.on('data', d => { err = (err + d).slice(-1000); });
+    proc.on('error', e => reject(new Error(`Could not run ${cmd}: ${e.message}`)));
+    proc.on('close', code => code === 0 ? resolve() : reject(new Error(`${cmd} ${args.join(' ')} failed: ${err.trim() || `exit ${code}`}`)));
+  });
+}
+
+module.exports = { MANAGER, NAME, describe, control };
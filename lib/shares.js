@@ -0,0 +1,68 @@
+// Read-only share links for session transcripts. Each link is an unguessable id
+// with an expiry, kept in ~/claude-mobile/shares.json so it can be listed and revoked.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(os.homedir(), 'claude-mobile');
+const SHARES_FILE = path.join(DATA_DIR, 'shares.json');
+const MAX_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+let shares = loadShares();
+
+function loadShares() {
+  try {
+    if (!fs.existsSync(SHARES_FILE)) return [];
+    return JSON.parse(fs.readFileSync(SHARES_FILE, 'utf8')).filter(s => s.expiresAt > Date.now());
+  } catch(e) {
+    console.error('Failed to load share links:', e.message);
+    return [];
+  }
+}
+
+function saveShares() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${SHARES_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(shares, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, SHARES_FILE);
+  } catch(e) {
+    console.error('Failed to save share links:', e.message);
+  }
+}
+
+function create(sessionKey, owner, ttlMs) {
+  const now = Date.now();
+  const ttl = Math.min(Math.max(Number(ttlMs) || 0, 60 * 1000), MAX_TTL_MS);
+  const share = { id: crypto.randomBytes(18).toString('base64url'), sessionKey, owner, createdAt: now, expiresAt: now + ttl };
+  shares = shares.filter(s => s.expiresAt > now);
+  shares.push(share);
+  saveShares();
+  return share;
+}
+
+// The share record for a live link, else null
+function find(id) {
+  const share = shares.find(s => s.id === id);
+  return share && share.expiresAt > Date.now() ? share : null;
+}
+
+function listFor(sessionKey) {
+  return shares.filter(s => s.sessionKey === sessionKey && s.expiresAt > Date.now());
+}
+
+function revoke(id) {
+  const before = shares.length;
+  shares = shares.filter(s => s.id !== id);
+  if (shares.length !== before) saveShares();
+  return shares.length !== before;
+}
+
+function revokeSession(sessionKey) {
+  const before = shares.length;
+  shares = shares.filter(s => s.sessionKey !== sessionKey);
+  if (shares.length !== before) saveShares();
+}
+
+module.exports = { MAX_TTL_MS, create, find, listFor, revoke, revokeSession };
@@ -0,0 +1,129 @@
+// Interactive shells for the Shell tabs. Each shell gets a pseudo-terminal from script(1),
+// which ships with macOS, so no native module is needed. Shells are opt-in (features.shell
+// in config.json, or ENABLE_SHELL=1) and admin-only, since they run with the full rights
+// of the account the server runs as. Turning them off closes any that are open.
+// Every line typed is appended to ~/claude-mobile/shell-audit.log.
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./config');
+
+const IDLE_MS = (Number(process.env.SHELL_IDLE_MINUTES) || 15) * 60 * 1000;
+const SHELL = process.env.SHELL || '/bin/zsh';
+const AUDIT_FILE = path.join(os.homedir(), 'claude-mobile', 'shell-audit.log');
+const BACKLOG = 64 * 1024;   // recent output replayed to devices that attach later
+const MAX_SHELLS_PER_USER = 4;
+
+const shells = new Map();  // id → { id, owner, sessionKey, cwd, proc, backlog, line, timer, handlers }
+
+function audit(shell, event, extra = {}) {
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify({ ts: new Date().toISOString(), user: shell.owner, shell: shell.id, cwd: shell.cwd, event, ...extra }) + '\n', { mode: 0o600 });
+  } catch(e) {
+    console.error('Failed to write shell audit log:', e.message);
+  }
+}
+
+// script(1) takes different arguments on macOS (BSD) and Linux (util-linux). It can't
+// pass window size changes on, so the size is set once before the shell starts.
+function ptyCommand(cols, rows) {
+  const start = `stty cols ${cols} rows ${rows} 2>/dev/null; exec "$0" -il`;
+  if (process.platform === 'darwin') return ['script', ['-q', '/dev/null', '/bin/sh', '-c', start, SHELL]];
+  return ['script', ['-qfec', `/bin/sh -c '${start}' '${SHELL.replace(/'/g, '')}'`, '/dev/null']];
+}
+
+function clamp(n, min, max, fallback) {
+  n = Math.round(Number(n));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function touch(shell) {
+  clearTimeout(shell.timer);
+  shell.timer = setTimeout(() => close(shell.id, 'idle'), IDLE_MS);
+}
+
+function enabled() {
+  return config.get().features.shell;
+}
+
+// Reassembles typed lines from raw keystrokes for the audit log. Escape sequences
+// (arrows, history recall) are dropped, so a recalled command is logged as typed.
+function trackInput(shell, data) {
+  for (const ch of data.replace(/\x1b(?:\[[\d;?]*[ -/]*[@-~]|O.|.)?/g, '')) {
+    if (ch === '\r' || ch === '\n') {
+      if (shell.line.trim()) audit(shell, 'input', { line: shell.line });
+      shell.line = '';
+    } else if (ch === '\x7f' || ch === '\b') shell.line = shell.line.slice(0, -1);
+    else if (ch === '\x03' || ch === '\x15') shell.line = '';   // Ctrl-C, Ctrl-U
+    else if (ch >= ' ') shell.line += ch;
+  }
+}
+
+// handlers: { output(shell, data), exit(shell, { code, reason }) }
+function open({ owner, sessionKey, cwd, cols, rows }, handlers) {
+  if (!enabled()) throw new Error('The shell is turned off — an admin can turn it on under Settings → Server Settings');
+  if ([...shells.values()].filter(s => s.owner === owner).length >= MAX_SHELLS_PER_USER) {
+    throw new Error(`Close a shell first — at most ${MAX_SHELLS_PER_USER} can be open`);
+  }
+  const [cmd, args] = ptyCommand(clamp(cols, 20, 400, 80), clamp(rows, 5, 200, 24));
+  const proc = spawn(cmd, args, { cwd, env: { ...process.env, TERM: 'xterm-256color' } });
+  const shell = { id: crypto.randomBytes(6).toString('hex'), owner, sessionKey, cwd, proc, backlog: '', line: '', timer: null, handlers, closing: null };
+  shells.set(shell.id, shell);
+  const decoder = new StringDecoder('utf8');
+  const onData = (chunk) => {
+    const data = decoder.write(chunk);
+    if (!data) return;
+    shell.backlog = (shell.backlog + data).slice(-BACKLOG);
+    touch(shell);
+    shell.handlers.output(shell, data);
+  };
+  proc.stdout.on('data', onData);
+  proc.stderr.on('data', onData);
+  proc.on('error', (e) => shell.handlers.output(shell, `\r\n${e.message}\r\n`));
+  proc.on('close', (code) => {
+    clearTimeout(shell.timer);
+    shells.delete(shell.id);
+    audit(shell, 'close', { code, reason: shell.closing || 'exit' });
+    shell.handlers.exit(shell, { code, reason: shell.closing || 'exit' });
+  });
+  audit(shell, 'open', { sessionKey });
+  touch(shell);
+  return shell;
+}
+
+function get(id, owner) {
+  const shell = shells.get(id);
+  return shell && shell.owner === owner ? shell : null;
+}
+
+function write(shell, data) {
+  if (typeof data !== 'string' || !shell.proc.stdin.writable) return;
+  trackInput(shell, data);
+  touch(shell);
+  shell.proc.stdin.write(data);
+}
+
+// reason: 'closed' (by the user), 'idle', 'disabled' or 'shutdown'
+function close(id, reason = 'closed') {
+  const shell = shells.get(id);
+  if (!shell || shell.closing) return;
+  shell.closing = reason;
+  shell.proc.kill('SIGTERM');
+  // In case script(1) or the shell ignores the polite request
+  setTimeout(() => { if (shells.has(id)) shell.proc.kill('SIGKILL'); }, 3000).unref();
+}
+
+function closeAll() {
+  for (const id of shells.keys()) close(id, 'shutdown');
+}
+
+config.onChange((c) => {
+  if (c.features.shell) return;
+  for (const id of shells.keys()) close(id, 'disabled');
+});
+
+module.exports = { enabled, IDLE_MS, AUDIT_FILE, open, get, write, close, closeAll };
@@ -0,0 +1,158 @@
+// Durable session store — one JSON record per session in ~/claude-mobile/sessions/<key>.json.
+// Writes are debounced and asynchronous, and every write goes to a temp file that is
+// fsynced and renamed over the record, so a crash leaves either the old or the new
+// version. Records carry a schemaVersion and are migrated forward on load.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const transcript = require('./transcript');
+
+const DATA_DIR = path.join(os.homedir(), 'claude-mobile');
+const DIR = path.join(DATA_DIR, 'sessions');
+const LEGACY_FILE = path.join(DATA_DIR, 'sessions.json');
+const DEBOUNCE_MS = 500;
+
+const SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a version-n record to n + 1
+const MIGRATIONS = {
+  // v1 → v2: the text-only history moves into the session's transcript
+  1: (r) => {
+    const { history, ...rest } = r;
+    if (history?.length && !transcript.exists(r.sessionKey)) transcript.seed(r.sessionKey, history);
+    return rest;
+  },
+};
+
+// Named like the session's transcript, so two keys never share a record
+function fileFor(key) {
+  return path.join(DIR, `${transcript.fileName(key)}.json`);
+}
+
+function migrate(record) {
+  let r = record;
+  for (let v = r.schemaVersion || 1; v < SCHEMA_VERSION; v++) {
+    r = { ...MIGRATIONS[v](r), schemaVersion: v + 1 };
+  }
+  return r;
+}
+
+function writeSync(key, record) {
+  const file = fileFor(key);
+  const tmp = `${file}.sync.tmp`;
+  const fd = fs.openSync(tmp, 'w', 0o600);
+  try {
+    fs.writeSync(fd, JSON.stringify({ ...record, schemaVersion: SCHEMA_VERSION }, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// The single sessions.json from before this store existed becomes one record per session
+function importLegacy() {
+  if (!fs.existsSync(LEGACY_FILE)) return;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(LEGACY_FILE, 'utf8'));
+  } catch(e) {
+    console.error(`Could not read ${LEGACY_FILE} (${e.message}) — kept as sessions.json.corrupt`);
+    fs.renameSync(LEGACY_FILE, `${LEGACY_FILE}.corrupt`);
+    return;
+  }
+  for (const r of Array.isArray(data) ? data : []) {
+    if (!r?.sessionKey || fs.existsSync(fileFor(r.sessionKey))) continue;
+    writeSync(r.sessionKey, migrate({ ...r, schemaVersion: 1 }));
+  }
+  fs.renameSync(LEGACY_FILE, `${LEGACY_FILE}.migrated`);
+  console.log(`📦 Moved ${data.length} sessions from sessions.json into ${DIR}`);
+}
+
+// Every stored session, migrated to the current schema. An unreadable record is
+// set aside as <key>.json.corrupt instead of taking the others down with it.
+function loadAll() {
+  fs.mkdirSync(DIR, { recursive: true });
+  importLegacy();
+  const records = [];
+  for (const name of fs.readdirSync(DIR)) {
+    if (!name.endsWith('.json')) continue;
+    const file = path.join(DIR, name);
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (raw.schemaVersion > SCHEMA_VERSION) {
+        console.error(`Skipping ${name}: written by a newer version (schema ${raw.schemaVersion})`);
+        continue;
+      }
+      const record = migrate(raw);
+      if (record.schemaVersion !== raw.schemaVersion) writeSync(record.sessionKey, record);
+      records.push(record);
+    } catch(e) {
+      console.error(`Could not read session ${name} (${e.message}) — kept as ${name}.corrupt`);
+      try { fs.renameSync(file, `${file}.corrupt`); } catch(err) {}
+    }
+  }
+  return records;
+}
+
+const pending = new Map();   // key → latest record not yet handed to a write
+const writing = new Map();   // key → { record, done } for the write in progress
+let timer = null;
+
+function save(record) {
+  pending.set(record.sessionKey, record);
+  if (!timer) timer = setTimeout(flush, DEBOUNCE_MS);
+}
+
+// Writes for the same key are chained so an older version can never land last
+function enqueue(key, task, record) {
+  const prev = writing.get(key)?.done || Promise.resolve();
+  const done = prev.then(task).catch(e => console.error(`Failed to save session ${key}:`, e.message));
+  const entry = { record, done };
+  writing.set(key, entry);
+  done.then(() => { if (writing.get(key) === entry) writing.delete(key); });
+  return done;
+}
+
+function flush() {
+  timer = null;
+  const batch = [...pending.entries()];
+  pending.clear();
+  return Promise.all(batch.map(([key, record]) => enqueue(key, async () => {
+    const file = fileFor(key);
+    const tmp = `${file}.tmp`;
+    const fh = await fsp.open(tmp, 'w', 0o600);
+    try {
+      await fh.writeFile(JSON.stringify({ ...record, schemaVersion: SCHEMA_VERSION }, null, 2));
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    await fsp.rename(tmp, file);
+  }, record)));
+}
+
+function remove(key) {
+  pending.delete(key);
+  enqueue(key, () => fsp.rm(fileFor(key), { force: true }), null);
+}
+
+// For shutdown: writes everything still pending or mid-write, synchronously
+function flushSync() {
+  clearTimeout(timer);
+  timer = null;
+  const latest = new Map([...writing].map(([key, w]) => [key, w.record]));
+  for (const [key, record] of pending) latest.set(key, record);
+  pending.clear();
+  for (const [key, record] of latest) {
+    try {
+      if (record) writeSync(key, record);
+      else fs.rmSync(fileFor(key), { force: true });
+    } catch(e) {
+      console.error(`Failed to save session ${key}:`, e.message);
+    }
+  }
+}
+
+module.exports = { SCHEMA_VERSION, DIR, loadAll, save, remove, flush, flushSync };
@@ -0,0 +1,166 @@
+// Speech-to-text for voice input. Two kinds of backend:
+//   http    — any OpenAI-compatible /v1/audio/transcriptions endpoint: OpenAI itself
+//             (OPENAI_API_KEY), or a local server such as whisper.cpp's or faster-whisper's
+//             at STT_URL, so audio never leaves the machine
+//   command — a program run once per recording (STT_COMMAND), e.g. whisper.cpp's
+//             whisper-cli; each line it prints is passed on as a partial transcript
+// STT_PROVIDER picks one explicitly; otherwise the first one configured is used.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn, execFile } = require('child_process');
+
+const OPENAI_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const ENDPOINT = process.env.STT_URL || '';
+const COMMAND = process.env.STT_COMMAND || '';
+const API_KEY = process.env.STT_API_KEY || (ENDPOINT ? '' : process.env.OPENAI_API_KEY || '');
+const MODEL = process.env.STT_MODEL || 'whisper-1';
+const LANGUAGE = process.env.STT_LANGUAGE || '';
+const STREAM = /^(1|true|yes)$/i.test(process.env.STT_STREAM || '');
+const MAX_SECONDS = Number(process.env.STT_MAX_SECONDS) || 120;
+// Compressed speech is well under 256 kbit/s, so anything bigger is longer than allowed
+const MAX_BYTES = MAX_SECONDS * 32 * 1024;
+
+const PROVIDER = (() => {
+  const wanted = (process.env.STT_PROVIDER || '').toLowerCase();
+  if (wanted === 'none' || wanted === 'off') return null;
+  if (wanted === 'command') return COMMAND ? 'command' : null;
+  if (wanted === 'http' || wanted === 'openai') return ENDPOINT || API_KEY ? 'http' : null;
+  return COMMAND ? 'command' : ENDPOINT || API_KEY ? 'http' : null;
+})();
+const ENABLED = !!PROVIDER;
+// Whether partial transcripts arrive while the recording is being transcribed
+const STREAMS = PROVIDER === 'command' || (PROVIDER === 'http' && STREAM);
+
+function describe() {
+  if (PROVIDER === 'command') return `${path.basename(splitCommand(COMMAND)[0] || '')} (local command)`;
+  if (PROVIDER === 'http') return ENDPOINT ? `${ENDPOINT.replace(/^\w+:\/\/([^/]+).*$/, '$1')} (${MODEL})` : `OpenAI ${MODEL}`;
+  return null;
+}
+
+const extFor = (mimeType) => /mp4|m4a|aac/.test(mimeType) ? 'm4a' : /ogg/.test(mimeType) ? 'ogg' : /wav/.test(mimeType) ? 'wav' : 'webm';
+const cleanLanguage = (lang) => /^[a-z]{2,3}$/i.test(String(lang || '')) ? String(lang).toLowerCase() : (LANGUAGE || null);
+
+// ── HTTP backend ────────────────────────────────────────────────────────────
+function viaHttp(audio, { mimeType, language, onPartial }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(ENDPOINT || OPENAI_URL);
+    const boundary = '----FormBoundary' + crypto.randomBytes(8).toString('hex');
+    const field = (name, value) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+    const body = Buffer.concat([
+      field('model', MODEL),
+      field('response_format', 'json'),
+      ...(language ? [field('language', language)] : []),
+      ...(STREAM ? [field('stream', 'true')] : []),
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="audio.${extFor(mimeType)}"\r\nContent-Type: ${mimeType}\r\n\r\n`),
+      audio,
+      Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+    const headers = { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length };
+    if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
+    const req = (target.protocol === 'https:' ? https : http).request(target, { method: 'POST', headers, timeout: 120000 }, (res) => {
+      let data = '', partial = '', text = null;
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+        if (!/text\/event-stream/.test(res.headers['content-type'] || '')) return;
+        // Server-sent events: transcript.text.delta pieces, then transcript.text.done
+        let i;
+        while ((i = data.indexOf('\n')) >= 0) {
+          const line = data.slice(0, i).trim(); data = data.slice(i + 1);
+          if (!line.startsWith('data:') || line === 'data: [DONE]') continue;
+          try {
+            const ev = JSON.parse(line.slice(5));
+            if (ev.type === 'transcript.text.delta') { partial += ev.delta || ''; onPartial?.(partial); }
+            else if (ev.type === 'transcript.text.done') text = ev.text;
+          } catch(e) {}
+        }
+      });
+      res.on('end', () => {
+        if (text !== null || partial) return resolve((text ?? partial).trim());
+        try {
+          const p = JSON.parse(data);
+          if (res.statusCode < 300 && typeof p.text === 'string') resolve(p.text.trim());
+          else reject(new Error(p.error?.message || p.error || `Transcription failed (${res.statusCode})`));
+        } catch(e) {
+          reject(new Error(`Transcription failed (${res.statusCode})`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Transcription timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// ── Command backend ─────────────────────────────────────────────────────────
+// STT_COMMAND is split into arguments (quotes group words) and run without a shell.
+// {file} is the recording as the phone sent it, {wav} the same converted to 16 kHz mono
+// WAV with ffmpeg (what whisper.cpp wants), and {lang} the language or "auto".
+function splitCommand(s) {
+  return [...String(s).matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => (m[1] ?? m[2] ?? m[3]).replace(/^~(?=$|\/)/, os.homedir()));
+}
+
+function toWav(src, dest) {
+  return new Promise((resolve, reject) => {
+    execFile('ffmpeg', ['-nostdin', '-loglevel', 'error', '-y', '-i', src, '-ar', '16000', '-ac', '1', dest], { timeout: 60000 }, (err, stdout, stderr) => {
+      if (err) reject(new Error(err.code === 'ENOENT' ? 'STT_COMMAND uses {wav}, which needs ffmpeg' : `ffmpeg: ${String(stderr).trim().split('\n').pop() || err.message}`));
+      else resolve();
+    });
+  });
+}
+
+// whisper.cpp and friends print "[00:00:00.000 --> 00:00:02.500]  text" per segment
+const stripTimestamps = (line) => line.replace(/^\s*\[[\d:.,]+\s*-->\s*[\d:.,]+\]\s*/, '').trim();
+
+async function viaCommand(audio, { mimeType, language, onPartial }) {
+  const base = path.join(os.tmpdir(), `ccm-stt-${crypto.randomBytes(6).toString('hex')}`);
+  const file = `${base}.${extFor(mimeType)}`, wav = `${base}.wav`;
+  const [bin, ...template] = splitCommand(COMMAND);
+  try {
+    fs.writeFileSync(file, audio);
+    if (template.some(a => a.includes('{wav}'))) await toWav(file, wav);
+    const args = template.map(a => a.replace(/\{file\}/g, file).replace(/\{wav\}/g, wav).replace(/\{lang\}/g, language || 'auto'));
+    return await new Promise((resolve, reject) => {
+      const proc = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const lines = [];
+      let buf = '', err = '';
+      const timer = setTimeout(() => proc.kill('SIGKILL'), Math.max(60, MAX_SECONDS * 3) * 1000);
+      proc.stdout.setEncoding('utf8');
+      proc.stdout.on('data', chunk => {
+        buf += chunk;
+        let i;
+        while ((i = buf.indexOf('\n')) >= 0) {
+          const line = stripTimestamps(buf.slice(0, i)); buf = buf.slice(i + 1);
+          if (line) { lines.push(line); onPartial?.(lines.join(' ')); }
+        }
+      });
+      proc.stderr.on('data', d => { err = (err + d).slice(-2000); });
+      proc.on('error', e => { clearTimeout(timer); reject(new Error(`Could not run ${bin}: ${e.message}`)); });
+      proc.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (stripTimestamps(buf)) lines.push(stripTimestamps(buf));
+        if (code === 0) return resolve(lines.join(' ').trim());
+        reject(new Error(signal ? `${path.basename(bin)} took too long` : `${path.basename(bin)} failed: ${err.trim().split('\n').pop() || `exit ${code}`}`));
+      });
+    });
+  } finally {
+    fs.rmSync(file, { force: true });
+    fs.rmSync(wav, { force: true });
+  }
+}
+
+// Resolves with the text. onPartial(textSoFar) is called as pieces arrive, when the
+// backend can do that.
+function transcribe(audio, { mimeType = 'audio/webm', language, onPartial } = {}) {
+  if (!ENABLED) return Promise.reject(new Error('Voice input is not set up on the server'));
+  if (!audio?.length) return Promise.reject(new Error('No audio received'));
+  if (audio.length > MAX_BYTES) return Promise.reject(new Error(`Recordings can be at most ${MAX_SECONDS} seconds`));
+  const opts = { mimeType: String(mimeType).split(';')[0], language: cleanLanguage(language), onPartial };
+  return PROVIDER === 'command' ? viaCommand(audio, opts) : viaHttp(audio, opts);
+}
+
+module.exports = { ENABLED, PROVIDER, STREAMS, MAX_SECONDS, MAX_BYTES, describe, transcribe };
@@ -0,0 +1,254 @@
+// Starts and watches the claude processes behind prompts. At most maxConcurrentRuns run
+// at once across all sessions; the rest wait in a queue, oldest first. A run is stopped
+// when it goes on longer than runTimeoutMinutes, prints nothing for runIdleMinutes (time
+// spent waiting for a permission answer doesn't count) or grows past runMaxMemoryMb — all
+// from the limits in config.js, read as they're needed so a change applies to runs
+// already going. Each run gets its own process group, so stopping it also stops what
+// claude started; it gets SIGTERM, then SIGKILL if it's still there KILL_GRACE_MS later.
+// PIDs are written to ~/claude-mobile/runs.json so that after a restart the server can
+// find runs that outlived it (recover) and watch them until they end (adopt).
+//
+// A run's state is queued → running ⇄ stalled (quiet for a while, not yet stopped), or
+// orphaned for one found by recover(). Runs that end are removed.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn, execFile, execFileSync } = require('child_process');
+const config = require('./config');
+
+const KILL_GRACE_MS = 5000;
+const CHECK_MS = 5000;
+const RUNS_FILE = path.join(os.homedir(), 'claude-mobile', 'runs.json');
+
+const waiting = [];        // queued runs, oldest first
+const active = new Set();  // runs holding a slot: running, stalled or orphaned
+let checkTimer = null;
+
+// { maxRuns, timeoutMs, idleMs, stallMs, maxMemoryMb } as config.json has them now
+function limits() {
+  const l = config.get().limits;
+  const idleMs = l.runIdleMinutes * 60 * 1000;
+  return {
+    maxRuns: l.maxConcurrentRuns,
+    timeoutMs: l.runTimeoutMinutes * 60 * 1000,
+    idleMs,
+    // Quiet for this long shows as stalled, so a stuck run is visible before it's stopped
+    stallMs: Math.min(2 * 60 * 1000, idleMs / 2),
+    maxMemoryMb: l.runMaxMemoryMb,
+  };
+}
+
+function info(run) {
+  return {
+    state: run.state,
+    since: run.since,
+    position: run.state === 'queued' ? waiting.indexOf(run) + 1 : null,
+    startedAt: run.startedAt,
+    reason: run.stopping,
+  };
+}
+
+function setState(run, state) {
+  if (run.state === state) return;
+  run.state = state;
+  run.since = Date.now();
+  run.handlers.state?.(run, info(run));
+}
+
+// ── PID file ────────────────────────────────────────────────────────────────
+function savePids() {
+  const list = [...active].filter(r => r.pid).map(r => ({ key: r.key, pid: r.pid, startedAt: r.startedAt }));
+  try {
+    fs.mkdirSync(path.dirname(RUNS_FILE), { recursive: true });
+    fs.writeFileSync(RUNS_FILE, JSON.stringify(list, null, 2), { mode: 0o600 });
+  } catch(e) {
+    console.error('Failed to write runs.json:', e.message);
+  }
+}
+
+function alive(pid) {
+  try { process.kill(pid, 0); return true; } catch(e) { return e.code === 'EPERM'; }
+}
+
+// Signals the run's whole process group, falling back to the process alone
+function signal(run, sig) {
+  try { process.kill(-run.pid, sig); } catch(e) {
+    try { process.kill(run.pid, sig); } catch(e2) {}
+  }
+}
+
+// ── Starting ────────────────────────────────────────────────────────────────
+// handlers: { state(run, info), stdout(run, chunk), stderr(run, chunk), error(run, err),
+//             exit(run, { code, reason }) }. reason is null for a run that ended by itself,
+// otherwise 'cancelled', 'timeout', 'idle' or 'memory'.
+// busy() → true while the run is waiting on someone, which pauses the idle timeout.
+// stdin is 'pipe' (the default) or 'ignore', for programs that would wait for it to end.
+function start({ key, bin, args, cwd, env, stdin, busy }, handlers) {
+  const run = {
+    id: crypto.randomBytes(6).toString('hex'), key, spec: { bin, args, cwd, env, stdin }, busy: busy || (() => false),
+    handlers, state: 'queued', since: Date.now(), proc: null, pid: null, startedAt: null, lastOutput: null, stopping: null, ended: false,
+  };
+  waiting.push(run);
+  // The caller gets the run back before anything happens to it
+  setImmediate(pump);
+  return run;
+}
+
+function launch(run) {
+  const { bin, args, cwd, env, stdin } = run.spec;
+  active.add(run);
+  run.startedAt = run.lastOutput = Date.now();
+  let proc;
+  try {
+    // Its own process group, so a stop reaches claude and everything it started
+    proc = spawn(bin, args, { cwd, env, stdio: [stdin || 'pipe', 'pipe', 'pipe'], detached: true });
+  } catch(e) {
+    run.handlers.error?.(run, e);
+    finish(run, null);
+    return;
+  }
+  run.proc = proc;
+  run.pid = proc.pid;
+  setState(run, 'running');
+  savePids();
+  ensureChecks();
+  const heard = () => { run.lastOutput = Date.now(); if (run.state === 'stalled') setState(run, 'running'); };
+  proc.stdout.on('data', chunk => { heard(); run.handlers.stdout?.(run, chunk); });
+  proc.stderr.on('data', chunk => { heard(); run.handlers.stderr?.(run, chunk); });
+  proc.on('error', e => {
+    run.handlers.error?.(run, e);
+    // A process that never started won't send close
+    if (!run.pid) finish(run, null);
+  });
+  proc.on('close', code => finish(run, code));
+}
+
+function finish(run, code) {
+  if (run.ended) return;
+  run.ended = true;
+  clearTimeout(run.killTimer);
+  active.delete(run);
+  savePids();
+  run.handlers.exit?.(run, { code, reason: run.stopping });
+  pump();
+}
+
+// Starts queued runs while there are free slots, and tells the rest where they are in line
+function pump() {
+  const { maxRuns } = limits();
+  while (waiting.length && active.size < maxRuns) launch(waiting.shift());
+  waiting.forEach((run, i) => {
+    if (run.position === i + 1) return;
+    run.position = i + 1;
+    run.handlers.state?.(run, info(run));
+  });
+}
+
+// ── Stopping ────────────────────────────────────────────────────────────────
+function stop(run, reason) {
+  if (run.ended || run.stopping) return;
+  run.stopping = reason;
+  const queued = waiting.indexOf(run);
+  if (queued >= 0) {
+    waiting.splice(queued, 1);
+    setImmediate(() => finish(run, null));
+    pump();
+    return;
+  }
+  if (reason !== 'cancelled') console.log(`⏹ [${run.key}] stopping run (${reason}), pid ${run.pid}`);
+  signal(run, 'SIGTERM');
+  run.killTimer = setTimeout(() => {
+    if (run.ended) return;
+    console.log(`⏹ [${run.key}] pid ${run.pid} ignored SIGTERM — killing`);
+    signal(run, 'SIGKILL');
+    // An adopted run has no close event to wait for
+    if (!run.proc) finish(run, null);
+  }, KILL_GRACE_MS);
+}
+
+function cancel(run) {
+  stop(run, 'cancelled');
+}
+
+// Stops a run whose owner is gone: its output and exit are no longer handed to anyone
+function detach(run) {
+  run.handlers = {};
+  stop(run, 'cancelled');
+}
+
+// ── Watching ────────────────────────────────────────────────────────────────
+function ensureChecks() {
+  if (checkTimer) return;
+  checkTimer = setInterval(check, CHECK_MS);
+  checkTimer.unref();
+}
+
+function check() {
+  if (!active.size) { clearInterval(checkTimer); checkTimer = null; return; }
+  const now = Date.now();
+  const { timeoutMs, idleMs, stallMs, maxMemoryMb } = limits();
+  for (const run of active) {
+    if (!run.proc) {
+      if (!alive(run.pid)) finish(run, null);
+      continue;
+    }
+    if (run.stopping) continue;
+    if (run.busy()) run.lastOutput = now;
+    if (now - run.startedAt > timeoutMs) stop(run, 'timeout');
+    else if (now - run.lastOutput > idleMs) stop(run, 'idle');
+    else if (now - run.lastOutput > stallMs) setState(run, 'stalled');
+  }
+  if (maxMemoryMb) checkMemory(maxMemoryMb);
+}
+
+// Adds up resident memory per process group; one ps call covers every run
+function checkMemory(maxMemoryMb) {
+  execFile('ps', ['-A', '-o', 'pgid=,rss='], { timeout: 5000 }, (err, stdout) => {
+    if (err) return;
+    const kb = new Map();
+    for (const line of stdout.split('\n')) {
+      const [pgid, rss] = line.trim().split(/\s+/).map(Number);
+      if (pgid) kb.set(pgid, (kb.get(pgid) || 0) + (rss || 0));
+    }
+    for (const run of active) {
+      if (run.proc && !run.stopping && (kb.get(run.pid) || 0) / 1024 > maxMemoryMb) stop(run, 'memory');
+    }
+  });
+}
+
+// ── After a restart ─────────────────────────────────────────────────────────
+// Runs from runs.json that are still going: [{ key, pid, startedAt }]. A PID that now
+// belongs to something other than claude is left alone.
+function recover() {
+  let list = [];
+  try { list = JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8')); } catch(e) { return []; }
+  const found = (Array.isArray(list) ? list : []).filter(r => {
+    if (!Number.isInteger(r?.pid) || r.pid <= 1 || !alive(r.pid)) return false;
+    try {
+      return /claude|unbuffer|expect/.test(execFileSync('ps', ['-o', 'command=', '-p', String(r.pid)], { encoding: 'utf8', timeout: 5000 }));
+    } catch(e) {
+      return false;
+    }
+  });
+  if (!found.length) fs.rmSync(RUNS_FILE, { force: true });
+  return found;
+}
+
+// Watches a run found by recover(). Its output went to the old server, so there is none
+// to pass on; exit is called once the process is gone. It holds a slot until then.
+function adopt({ key, pid, startedAt }, handlers) {
+  const run = {
+    id: crypto.randomBytes(6).toString('hex'), key, spec: null, busy: () => false,
+    handlers, state: 'orphaned', since: Date.now(), proc: null, pid, startedAt, lastOutput: null, stopping: null, ended: false,
+  };
+  active.add(run);
+  savePids();
+  ensureChecks();
+  return run;
+}
+
+// More slots may have opened up
+config.onChange(() => pump());
+
+module.exports = { RUNS_FILE, limits, start, cancel, detach, info, recover, adopt };
@@ -0,0 +1,104 @@
+// Signed, expiring session tokens issued on login.
+// Format: <base64url payload>.<base64url HMAC-SHA256>. Every issued token is also
+// kept in ~/claude-mobile/tokens.json so it can be listed and revoked from settings.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(os.homedir(), 'claude-mobile');
+const SECRET_FILE = path.join(DATA_DIR, 'token-secret');
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const TTL_MS = (Number(process.env.TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+function loadSecret() {
+  try {
+    if (fs.existsSync(SECRET_FILE)) return fs.readFileSync(SECRET_FILE);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const secret = crypto.randomBytes(32);
+    fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    return secret;
+  } catch(e) {
+    // Tokens then only survive until the next restart
+    console.error('Failed to persist token secret:', e.message);
+    return crypto.randomBytes(32);
+  }
+}
+
+const SECRET = loadSecret();
+let registry = loadRegistry();
+
+function loadRegistry() {
+  try {
+    if (!fs.existsSync(TOKENS_FILE)) return [];
+    return JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8')).filter(t => t.expiresAt > Date.now());
+  } catch(e) {
+    console.error('Failed to load tokens:', e.message);
+    return [];
+  }
+}
+
+function saveRegistry() {
+  try {
+    const tmp = `${TOKENS_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(registry, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, TOKENS_FILE);
+  } catch(e) {
+    console.error('Failed to save tokens:', e.message);
+  }
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+// meta: { device, ip } — shown in the settings list so the right token can be revoked
+function issueToken(user, meta = {}) {
+  const now = Date.now();
+  const record = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    username: user.username,
+    admin: !!user.admin,
+    issuedAt: now,
+    expiresAt: now + TTL_MS,
+    lastSeen: now,
+    device: String(meta.device || '').slice(0, 120),
+    ip: meta.ip || '',
+  };
+  registry = registry.filter(t => t.expiresAt > now);
+  registry.push(record);
+  saveRegistry();
+  const payload = Buffer.from(JSON.stringify({ jti: record.id, sub: user.username, exp: record.expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, record };
+}
+
+// Returns the registry record for a valid, unexpired, unrevoked token, else null
+function verifyToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+  const [payload, sig] = token.split('.');
+  const expected = sign(payload);
+  if (!sig || sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString()); } catch(e) { return null; }
+  if (!claims.exp || claims.exp < Date.now()) return null;
+  const record = registry.find(t => t.id === claims.jti && t.username === claims.sub);
+  if (!record) return null;
+  record.lastSeen = Date.now();
+  return record;
+}
+
+function listTokens(username) {
+  const now = Date.now();
+  return registry
+    .filter(t => t.expiresAt > now && (!username || t.username === username))
+    .map(({ id, username, admin, issuedAt, expiresAt, lastSeen, device, ip }) => ({ id, username, admin, issuedAt, expiresAt, lastSeen, device, ip }));
+}
+
+function revokeToken(id) {
+  const before = registry.length;
+  registry = registry.filter(t => t.id !== id);
+  if (registry.length !== before) saveRegistry();
+  return registry.length !== before;
+}
+
+module.exports = { issueToken, verifyToken, listTokens, revokeToken, TTL_MS };
@@ -0,0 +1,136 @@
+// Per-session transcripts — an append-only JSONL log per session in ~/claude-mobile/transcripts/.
+// Each line is one event as it was sent to the phone (token, tool_use, tool_result,
+// user_msg, done, …) or a transcript-only `note`, plus a per-session `seq` and a `ts` timestamp.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const DIR = path.join(os.homedir(), 'claude-mobile', 'transcripts');
+const CHUNK = 64 * 1024;
+
+// sessionKey → next seq, counted from the file the first time a session is touched
+const nextSeqs = new Map();
+
+// Session keys are chosen by the phone; the server refuses any that don't match this
+const KEY_RE = /^[\w-]{1,64}$/;
+
+function validKey(key) {
+  return typeof key === 'string' && KEY_RE.test(key);
+}
+
+// A name only this key maps to: valid keys as they are, anything else hashed (with a ~,
+// which valid keys can't contain). Shared with lib/store.js.
+function fileName(key) {
+  return validKey(key) ? key : `~${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 40)}`;
+}
+
+function fileFor(key) {
+  return path.join(DIR, `${fileName(key)}.jsonl`);
+}
+
+function exists(key) {
+  return fs.existsSync(fileFor(key));
+}
+
+function nextSeq(key) {
+  if (nextSeqs.has(key)) return nextSeqs.get(key);
+  let seq = 0;
+  try {
+    const data = fs.readFileSync(fileFor(key));
+    for (let i = 0; i < data.length; i++) if (data[i] === 10) seq++;
+    // A crash mid-append leaves a partial line; end it so the next event starts clean
+    if (data.length && data[data.length - 1] !== 10) { fs.appendFileSync(fileFor(key), '\n'); seq++; }
+  } catch(e) {
+    if (e.code !== 'ENOENT') console.error(`Failed to read transcript ${key}:`, e.message);
+  }
+  nextSeqs.set(key, seq);
+  return seq;
+}
+
+// Appends one event and returns it with its seq and ts. Lines are small, so a sync
+// append keeps ordering simple and makes every event readable straight away.
+function append(key, event) {
+  const { sessionKey, ...rest } = event;
+  const entry = { seq: nextSeq(key), ts: Date.now(), ...rest };
+  try {
+    fs.mkdirSync(DIR, { recursive: true });
+    fs.appendFileSync(fileFor(key), JSON.stringify(entry) + '\n');
+    nextSeqs.set(key, entry.seq + 1);
+  } catch(e) {
+    console.error(`Failed to append to transcript ${key}:`, e.message);
+  }
+  return entry;
+}
+
+// The newest `limit` events with seq < before, oldest first. Reads backwards from
+// the end of the file so paging through long sessions stays cheap.
+function page(key, { before = Infinity, limit = 200 } = {}) {
+  let fd;
+  try { fd = fs.openSync(fileFor(key), 'r'); } catch(e) { return { events: [], hasMore: false }; }
+  const found = [];
+  try {
+    let pos = fs.fstatSync(fd).size;
+    let carry = Buffer.alloc(0);
+    while (pos > 0 && found.length <= limit) {
+      const len = Math.min(CHUNK, pos);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      fs.readSync(fd, chunk, 0, len, pos);
+      let data = Buffer.concat([chunk, carry]);
+      // Everything before the first newline may be the end of a line in an earlier chunk
+      const cut = pos > 0 ? data.indexOf(10) : -1;
+      carry = cut >= 0 ? data.subarray(0, cut) : Buffer.alloc(0);
+      if (pos > 0 && cut < 0) { carry = data; continue; }
+      data = data.subarray(cut + 1);
+      const lines = data.toString('utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0 && found.length <= limit; i--) {
+        if (!lines[i]) continue;
+        let event;
+        try { event = JSON.parse(lines[i]); } catch(e) { continue; }
+        if (event.seq < before) found.push(event);
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  const hasMore = found.length > limit;
+  return { events: found.slice(0, limit).reverse(), hasMore };
+}
+
+// Every event in the session, oldest first (for exports)
+function all(key) {
+  let data;
+  try { data = fs.readFileSync(fileFor(key), 'utf8'); } catch(e) { return []; }
+  const events = [];
+  for (const line of data.split('\n')) {
+    if (!line) continue;
+    try { events.push(JSON.parse(line)); } catch(e) {}
+  }
+  return events;
+}
+
+// Converts a pre-transcript `history` array ({ role, text }) into events
+function seed(key, history) {
+  for (const m of history) {
+    if (m.role === 'user') append(key, { type: 'user_msg', text: m.text });
+    else if (m.role === 'claude') { append(key, { type: 'token', text: m.text }); append(key, { type: 'done' }); }
+    else if (m.role === 'system') append(key, { type: 'note', text: m.text });
+  }
+}
+
+// Starts a new transcript for `key` with copies of `events` (from another session),
+// numbered from 0, in one write
+function copy(key, events) {
+  const lines = events.map((e, i) => JSON.stringify({ ...e, seq: i }) + '\n').join('');
+  fs.mkdirSync(DIR, { recursive: true });
+  fs.writeFileSync(fileFor(key), lines);
+  nextSeqs.set(key, events.length);
+}
+
+function remove(key) {
+  nextSeqs.delete(key);
+  fs.rm(fileFor(key), { force: true }, () => {});
+}
+
+module.exports = { validKey, fileName, fileFor, append, page, all, seed, copy, exists, remove };
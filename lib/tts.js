@@ -0,0 +1,100 @@
+// Text-to-speech for reading Claude's replies aloud. Phones can use their own voices
+// (Web Speech API) without any of this; a server voice is for one that sounds the same
+// everywhere, or better than the phone's. Two kinds of backend:
+//   http    — an OpenAI-compatible /v1/audio/speech endpoint at TTS_URL (a local Kokoro
+//             or Piper server, say), or OpenAI itself with TTS_PROVIDER=openai
+//   command — a program that reads the text on stdin and writes audio to {out},
+//             e.g. macOS `say` or piper
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const OPENAI_URL = 'https://api.openai.com/v1/audio/speech';
+const WANTED = (process.env.TTS_PROVIDER || '').toLowerCase();
+const ENDPOINT = process.env.TTS_URL || (WANTED === 'openai' ? OPENAI_URL : '');
+const COMMAND = process.env.TTS_COMMAND || '';
+const API_KEY = process.env.TTS_API_KEY || (WANTED === 'openai' ? process.env.OPENAI_API_KEY || '' : '');
+const MODEL = process.env.TTS_MODEL || 'tts-1';
+const VOICE = process.env.TTS_VOICE || 'alloy';
+const MAX_CHARS = Number(process.env.TTS_MAX_CHARS) || 4000;
+
+const CONTENT_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav', aac: 'audio/aac', m4a: 'audio/mp4', opus: 'audio/ogg', flac: 'audio/flac' };
+const FORMAT = CONTENT_TYPES[process.env.TTS_FORMAT] ? process.env.TTS_FORMAT : (COMMAND && !ENDPOINT ? 'wav' : 'mp3');
+
+const PROVIDER = (() => {
+  if (WANTED === 'none' || WANTED === 'off') return null;
+  if (WANTED === 'command') return COMMAND ? 'command' : null;
+  if (WANTED === 'http' || WANTED === 'openai') return ENDPOINT ? 'http' : null;
+  return COMMAND ? 'command' : ENDPOINT ? 'http' : null;
+})();
+const ENABLED = !!PROVIDER;
+
+function describe() {
+  if (PROVIDER === 'command') return `${path.basename(COMMAND.trim().split(/\s+/)[0])} (local command)`;
+  if (PROVIDER === 'http') return `${ENDPOINT.replace(/^\w+:\/\/([^/]+).*$/, '$1')} (${MODEL}, ${VOICE})`;
+  return null;
+}
+
+function viaHttp(text) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(ENDPOINT);
+    const body = JSON.stringify({ model: MODEL, voice: VOICE, input: text, response_format: FORMAT });
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+    if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
+    const req = (target.protocol === 'https:' ? https : http).request(target, { method: 'POST', headers, timeout: 60000 }, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        if (res.statusCode < 300) return resolve({ audio: data, contentType: res.headers['content-type'] || CONTENT_TYPES[FORMAT] });
+        let message = `Speech failed (${res.statusCode})`;
+        try { const p = JSON.parse(data); message = p.error?.message || p.error || message; } catch(e) {}
+        reject(new Error(message));
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Speech timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// TTS_COMMAND is split on spaces (quotes group words) and run without a shell;
+// {out} is the file to write, with the TTS_FORMAT extension
+async function viaCommand(text) {
+  const out = path.join(os.tmpdir(), `ccm-tts-${crypto.randomBytes(6).toString('hex')}.${FORMAT}`);
+  const [bin, ...args] = [...COMMAND.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)]
+    .map(m => (m[1] ?? m[2] ?? m[3]).replace(/^~(?=$|\/)/, os.homedir()).replace(/\{out\}/g, out));
+  try {
+    await new Promise((resolve, reject) => {
+      const proc = spawn(bin, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+      let err = '';
+      const timer = setTimeout(() => proc.kill('SIGKILL'), 60000);
+      proc.stderr.on('data', d => { err = (err + d).slice(-2000); });
+      proc.on('error', e => { clearTimeout(timer); reject(new Error(`Could not run ${bin}: ${e.message}`)); });
+      proc.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) resolve();
+        else reject(new Error(signal ? `${path.basename(bin)} took too long` : `${path.basename(bin)} failed: ${err.trim().split('\n').pop() || `exit ${code}`}`));
+      });
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(text);
+    });
+    return { audio: fs.readFileSync(out), contentType: CONTENT_TYPES[FORMAT] };
+  } finally {
+    fs.rmSync(out, { force: true });
+  }
+}
+
+// Resolves with { audio: Buffer, contentType }
+function synthesize(text) {
+  if (!ENABLED) return Promise.reject(new Error('No server voice is set up'));
+  const clean = String(text || '').trim();
+  if (!clean) return Promise.reject(new Error('Nothing to say'));
+  return PROVIDER === 'command' ? viaCommand(clean.slice(0, MAX_CHARS)) : viaHttp(clean.slice(0, MAX_CHARS));
+}
+
+module.exports = { ENABLED, PROVIDER, MAX_CHARS, describe, synthesize };
@@ -0,0 +1,318 @@
+// Chunked, resumable attachment uploads. The phone announces a file's name, size and
+// (when the browser can compute it) SHA-256, then sends it in pieces; after a dropped
+// connection it carries on from the length the server reports. Finished files are kept
+// in the uploads folder (~/claude-mobile/uploads unless config.json says otherwise) under
+// their content hash, so a file sent twice is stored once, and photos larger than
+// UPLOAD_IMAGE_MAX_PX are scaled down before Claude sees them. Each stored file belongs to
+// the users who sent it (or whose run wrote it), and only they and admins can get at it.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { MIME } = require('./files');
+const config = require('./config');
+
+// Files already sent name it in their paths, so a new folder waits for a restart
+const DIR = config.atStartup('paths', 'uploadsDir');
+const PARTIAL_DIR = path.join(DIR, '.partial');
+const maxBytes = () => config.get().limits.uploadMaxMb * 1024 * 1024;
+const CHUNK_MAX = 4 * 1024 * 1024;
+const IMAGE_MAX_PX = process.env.UPLOAD_IMAGE_MAX_PX === undefined ? 2048 : (Number(process.env.UPLOAD_IMAGE_MAX_PX) || 0);
+// UPLOAD_TYPES=image/*,application/pdf,.md — extensions or MIME types; empty allows any
+const TYPES = (process.env.UPLOAD_TYPES || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+const PARTIAL_TTL_MS = 24 * 60 * 60 * 1000;
+const ID_RE = /^[0-9a-f]{24}$/;
+const HASH_RE = /^[0-9a-f]{64}$/;
+
+const MORE_MIME = {
+  '.heic': 'image/heic', '.heif': 'image/heif', '.mp4': 'video/mp4', '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.wav': 'audio/wav', '.webm': 'video/webm', '.zip': 'application/zip',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+const SCALABLE = new Set(['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif']);
+// Claude can't read HEIC, so iPhone photos are stored as JPEG when a converter is available
+const CONVERT_TO_JPEG = new Set(['.heic', '.heif']);
+
+fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+
+const typeOf = (name) => { const ext = path.extname(name).toLowerCase(); return MIME[ext] || MORE_MIME[ext] || 'application/octet-stream'; };
+
+function typeAllowed(name) {
+  if (!TYPES.length) return true;
+  const ext = path.extname(name).toLowerCase();
+  const type = typeOf(name);
+  return TYPES.some(t => t.startsWith('.') ? t === ext : t.endsWith('/*') ? type.startsWith(t.slice(0, -1)) : t === type);
+}
+
+function safeName(name) {
+  const base = path.basename(String(name || '')).replace(/[^\w .()+-]/g, '_').replace(/^\.+/, '').trim();
+  return base.slice(-120) || 'file';
+}
+
+// Errors carry the HTTP status to answer with
+const fail = (message, status, extra) => Object.assign(new Error(message), { status, ...extra });
+
+function check(name, size) {
+  if (!Number.isSafeInteger(size) || size <= 0) throw fail('The file is empty', 400);
+  if (size > maxBytes()) throw fail(`Files can be at most ${config.get().limits.uploadMaxMb} MB`, 413);
+  if (!typeAllowed(name)) throw fail(`${path.extname(name) || 'Files without an extension'} can't be uploaded here`, 415);
+}
+
+// ── Stored files ────────────────────────────────────────────────────────────
+// Named <first 16 hex digits of the original's SHA-256>_<name>; the same content under
+// another name is hard-linked rather than copied.
+function storedName(hash, name, converted) {
+  const ext = path.extname(name);
+  return `${hash.slice(0, 16)}_${converted ? `${name.slice(0, -ext.length)}.jpg` : name}`;
+}
+
+function describe(stored, name) {
+  const full = path.join(DIR, stored);
+  return { file: stored, name, size: fs.statSync(full).size, type: typeOf(stored) };
+}
+
+// ── Owners ──────────────────────────────────────────────────────────────────
+// .owners.json: stored name → usernames. A file nobody owns (one from before owners were
+// recorded, or put there by hand) is only for admins.
+const OWNERS_FILE = path.join(DIR, '.owners.json');
+let owners = {};
+
+function loadOwners() {
+  try { owners = JSON.parse(fs.readFileSync(OWNERS_FILE, 'utf8')); } catch(e) { owners = {}; }
+  // Files deleted by hand
+  for (const stored of Object.keys(owners)) if (!fs.existsSync(path.join(DIR, stored))) delete owners[stored];
+}
+
+function saveOwners() {
+  const tmp = `${OWNERS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(owners));
+  fs.renameSync(tmp, OWNERS_FILE);
+}
+
+function grant(stored, owner) {
+  const list = Object.hasOwn(owners, stored) ? owners[stored] : (owners[stored] = []);
+  if (list.includes(owner)) return;
+  list.push(owner);
+  saveOwners();
+}
+
+// Whether `owner` may see a stored file; null (an admin) sees them all
+function allowed(stored, owner) {
+  return owner === null || (Object.hasOwn(owners, stored) && owners[stored].includes(owner));
+}
+
+// Files a run saved into the folder since `since` (ms) become its user's
+function claim(owner, since) {
+  let names;
+  try { names = fs.readdirSync(DIR); } catch(e) { return; }
+  for (const name of names) {
+    if (name.startsWith('.') || Object.hasOwn(owners, name)) continue;
+    try {
+      const stat = fs.statSync(path.join(DIR, name));
+      if (stat.isFile() && stat.mtimeMs >= since) grant(name, owner);
+    } catch(e) {}
+  }
+}
+
+// { name, size, mtime } of every stored file `owner` may see, newest first
+function list(owner) {
+  return fs.readdirSync(DIR).filter(name => !name.startsWith('.') && allowed(name, owner)).map(name => {
+    const stat = fs.statSync(path.join(DIR, name));
+    return { name, size: stat.size, mtime: stat.mtime };
+  }).sort((a, b) => b.mtime - a.mtime);
+}
+
+// A stored copy of the content with this hash, under `name`, or null if there is none
+function dedup(hash, name) {
+  const prefix = `${hash.slice(0, 16)}_`;
+  const existing = fs.readdirSync(DIR).filter(f => f.startsWith(prefix));
+  if (!existing.length) return null;
+  const same = existing.find(f => path.extname(f).toLowerCase() === path.extname(name).toLowerCase());
+  const want = storedName(hash, name);
+  if (existing.includes(want)) return describe(want, name);
+  // A converted HEIC is only stored as .jpg, whatever the new copy is called
+  if (!same) return describe(existing[0], name);
+  try { fs.linkSync(path.join(DIR, same), path.join(DIR, want)); }
+  catch(e) { fs.copyFileSync(path.join(DIR, same), path.join(DIR, want)); }
+  return describe(want, name);
+}
+
+// Absolute path of a stored upload `owner` may use (null: any), or null; `stored` comes from the phone
+function resolve(stored, owner) {
+  const name = path.basename(String(stored || ''));
+  if (!name || name.startsWith('.') || !allowed(name, owner)) return null;
+  const full = path.join(DIR, name);
+  return fs.existsSync(full) ? full : null;
+}
+
+// ── Image scaling ───────────────────────────────────────────────────────────
+// sips ships with macOS; elsewhere ImageMagick is used if it's installed
+let tool;
+function imageTool() {
+  if (tool !== undefined) return tool;
+  const onPath = (bin) => (process.env.PATH || '').split(':').some(d => d && fs.existsSync(path.join(d, bin)));
+  tool = process.platform === 'darwin' && onPath('sips') ? 'sips' : onPath('magick') ? 'magick' : onPath('convert') ? 'convert' : null;
+  return tool;
+}
+
+const run = (bin, args) => new Promise((resolve, reject) => {
+  execFile(bin, args, { timeout: 60000 }, (err, stdout) => err ? reject(err) : resolve(stdout));
+});
+
+// Writes a scaled (and for HEIC, converted) copy of src to dest. Resolves false when
+// the image is small enough already or no tool is available.
+async function scaleImage(src, dest, ext) {
+  const convert = CONVERT_TO_JPEG.has(ext);
+  if (!imageTool() || (!IMAGE_MAX_PX && !convert)) return false;
+  const dims = tool === 'sips'
+    ? await run('sips', ['-g', 'pixelWidth', '-g', 'pixelHeight', src])
+    : await run(tool === 'magick' ? 'magick' : 'identify', [...(tool === 'magick' ? ['identify'] : []), '-format', '%w %h', `${src}[0]`]);
+  const sizes = tool === 'sips' ? [...dims.matchAll(/pixel(?:Width|Height):\s*(\d+)/g)].map(m => m[1]) : dims.trim().split(/\s+/);
+  const px = Math.max(0, ...sizes.map(Number).filter(Number.isFinite));
+  const shrink = IMAGE_MAX_PX > 0 && px > IMAGE_MAX_PX;
+  if (!shrink && !convert) return false;
+  if (tool === 'sips') {
+    await run('sips', [...(shrink ? ['-Z', String(IMAGE_MAX_PX)] : []), ...(convert ? ['-s', 'format', 'jpeg'] : []), src, '--out', dest]);
+  } else {
+    const resize = shrink ? ['-resize', `${IMAGE_MAX_PX}x${IMAGE_MAX_PX}`] : [];
+    await run(tool, [`${src}[0]`, '-auto-orient', ...resize, `${convert ? 'jpeg' : ext.slice(1)}:${dest}`]);
+  }
+  return true;
+}
+
+// Moves a complete file into DIR (scaling images on the way), records `owner` as having
+// it and describes it
+async function store(src, hash, name, owner) {
+  const existing = dedup(hash, name);
+  if (existing) { await fsp.rm(src, { force: true }); grant(existing.file, owner); return existing; }
+  const ext = path.extname(name).toLowerCase();
+  const tmp = path.join(PARTIAL_DIR, `${hash}.scaled`);
+  let scaled = false;
+  if (SCALABLE.has(ext)) {
+    try {
+      scaled = await scaleImage(src, tmp, ext);
+    } catch(e) {
+      console.warn(`⚠ Could not scale ${name}: ${e.message}`);
+      await fsp.rm(tmp, { force: true });
+    }
+  }
+  const stored = storedName(hash, name, scaled && CONVERT_TO_JPEG.has(ext));
+  if (scaled) { await fsp.rename(tmp, path.join(DIR, stored)); await fsp.rm(src, { force: true }); }
+  else await fsp.rename(src, path.join(DIR, stored));
+  grant(stored, owner);
+  return { ...describe(stored, name), scaled };
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(file).on('data', d => h.update(d)).on('error', reject).on('end', () => resolve(h.digest('hex')));
+  });
+}
+
+// ── Uploads in progress ─────────────────────────────────────────────────────
+// .partial/<id>.json holds { id, owner, name, size, sha256, createdAt } and
+// .partial/<id>.part the bytes so far, so uploads survive a server restart
+const metaFile = (id) => path.join(PARTIAL_DIR, `${id}.json`);
+const partFile = (id) => path.join(PARTIAL_DIR, `${id}.part`);
+
+function load(owner, id) {
+  if (!ID_RE.test(String(id))) throw fail('No such upload', 404);
+  let meta;
+  try { meta = JSON.parse(fs.readFileSync(metaFile(id), 'utf8')); } catch(e) { throw fail('No such upload', 404); }
+  if (meta.owner !== owner) throw fail('No such upload', 404);
+  let received = 0;
+  try { received = fs.statSync(partFile(id)).size; } catch(e) {}
+  return { ...meta, received };
+}
+
+function discard(id) {
+  fs.rmSync(metaFile(id), { force: true });
+  fs.rmSync(partFile(id), { force: true });
+}
+
+// { id, received, size }. sha256, when the phone sends it, is only checked against what
+// arrives: stored files are shared between users, so a file is matched to one already
+// stored only once the server has hashed the bytes itself.
+function start(owner, { name, size, sha256 } = {}) {
+  const clean = safeName(name);
+  check(clean, size);
+  const hash = HASH_RE.test(String(sha256 || '')) ? sha256 : null;
+  const id = crypto.randomBytes(12).toString('hex');
+  fs.writeFileSync(metaFile(id), JSON.stringify({ id, owner, name: clean, size, sha256: hash, createdAt: Date.now() }));
+  fs.writeFileSync(partFile(id), '');
+  return { id, received: 0, size };
+}
+
+// Upload ids with a chunk being written (or the finished file being stored)
+const appending = new Set();
+
+// Adds the bytes at `offset`. A chunk for the wrong offset is refused with the
+// current length, so the phone can resend from there, and so is one that arrives while
+// another is still being written (a retry racing the original). The last chunk finishes
+// the upload and resolves with { received, file }.
+async function append(owner, id, offset, data) {
+  const meta = load(owner, id);
+  if (appending.has(id)) throw fail('Another part of this upload is still being written', 409, { received: meta.received });
+  appending.add(id);
+  try {
+    return await appendChunk(meta, id, offset, data);
+  } finally {
+    appending.delete(id);
+  }
+}
+
+async function appendChunk(meta, id, offset, data) {
+  if (offset !== meta.received) throw fail(`Expected offset ${meta.received}`, 409, { received: meta.received });
+  if (meta.received + data.length > meta.size) throw fail('More data than the announced size', 400);
+  await fsp.appendFile(partFile(id), data);
+  const received = meta.received + data.length;
+  if (received < meta.size) return { id, received, size: meta.size };
+  const hash = await hashFile(partFile(id));
+  if (meta.sha256 && hash !== meta.sha256) {
+    discard(id);
+    throw fail('The upload arrived damaged — send it again', 422);
+  }
+  const file = await store(partFile(id), hash, meta.name, meta.owner);
+  fs.rmSync(metaFile(id), { force: true });
+  return { id, received, size: meta.size, file };
+}
+
+function cancel(owner, id) {
+  load(owner, id);
+  discard(id);
+}
+
+// Whole files from older clients that still send them inside a WebSocket message
+async function saveBuffer(owner, name, data) {
+  const clean = safeName(name);
+  check(clean, data.length);
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  const tmp = path.join(PARTIAL_DIR, `${hash}.inline`);
+  await fsp.writeFile(tmp, data);
+  return store(tmp, hash, clean, owner);
+}
+
+// Uploads abandoned for a day are deleted
+function cleanup() {
+  let names;
+  try { names = fs.readdirSync(PARTIAL_DIR); } catch(e) { return; }
+  for (const f of names) {
+    if (!f.endsWith('.json')) continue;
+    const id = f.slice(0, -5);
+    try {
+      const { createdAt } = JSON.parse(fs.readFileSync(metaFile(id), 'utf8'));
+      if (Date.now() - createdAt > PARTIAL_TTL_MS) discard(id);
+    } catch(e) {
+      discard(id);
+    }
+  }
+}
+
+cleanup();
+loadOwners();
+setInterval(cleanup, 60 * 60 * 1000).unref();
+
+module.exports = { DIR, CHUNK_MAX, IMAGE_MAX_PX, start, append, cancel, list, resolve, claim, saveBuffer };
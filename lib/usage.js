@@ -0,0 +1,139 @@
+// Token and cost accounting. Every finished run appends one line to
+// ~/claude-mobile/usage.jsonl; the dashboard and budget caps are computed from it.
+// Days and months follow the Mac's local time. The budget caps are limits in config.js.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const config = require('./config');
+
+const USAGE_FILE = path.join(os.homedir(), 'claude-mobile', 'usage.jsonl');
+
+// What Claude Code's model aliases stand for (agents' `model:` uses them too). A [1m]
+// suffix asks for the 1M-token context window; every other model has 200k.
+const MODEL_ALIASES = { opus: 'claude-opus-4-6', sonnet: 'claude-sonnet-4-6', haiku: 'claude-haiku-4-5' };
+const CONTEXT_LIMIT = 200000;
+const LONG_CONTEXT_LIMIT = 1000000;
+
+// { daily, monthly } in USD, 0 for no cap
+function budgets() {
+  const { dailyBudgetUsd, monthlyBudgetUsd } = config.get().limits;
+  return { daily: dailyBudgetUsd, monthly: monthlyBudgetUsd };
+}
+
+let runs = loadRuns();
+
+function loadRuns() {
+  try {
+    if (!fs.existsSync(USAGE_FILE)) return [];
+    return fs.readFileSync(USAGE_FILE, 'utf8').split('\n').filter(Boolean)
+      .map(l => { try { return JSON.parse(l); } catch(e) { return null; } })
+      .filter(Boolean);
+  } catch(e) {
+    console.error('Failed to load usage log:', e.message);
+    return [];
+  }
+}
+
+// "sonnet[1m]" → "claude-sonnet-4-6[1m]"; full names are kept as they are
+function resolveModel(model) {
+  const m = /^(.*?)(\[1m\])?$/i.exec(String(model || '').trim().toLowerCase());
+  return m[1] ? (MODEL_ALIASES[m[1]] || m[1]) + (m[2] || '') : null;
+}
+
+function contextLimit(model) {
+  return /\[1m\]$/.test(resolveModel(model) || '') ? LONG_CONTEXT_LIMIT : CONTEXT_LIMIT;
+}
+
+// Token counts from a stream-json `usage` object
+function tokensOf(u = {}) {
+  return {
+    inputTokens: u.input_tokens || 0,
+    outputTokens: u.output_tokens || 0,
+    cacheReadTokens: u.cache_read_input_tokens || 0,
+    cacheWriteTokens: u.cache_creation_input_tokens || 0,
+  };
+}
+
+// run: { sessionKey, owner, label, model, agentName, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd }
+function record(run) {
+  const entry = { ts: Date.now(), ...run };
+  runs.push(entry);
+  try {
+    fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+    fs.appendFileSync(USAGE_FILE, JSON.stringify(entry) + '\n');
+  } catch(e) {
+    console.error('Failed to record usage:', e.message);
+  }
+  return entry;
+}
+
+function addTo(totals, run) {
+  totals.runs = (totals.runs || 0) + 1;
+  for (const k of ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'costUsd']) {
+    totals[k] = (totals[k] || 0) + (run[k] || 0);
+  }
+  return totals;
+}
+
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function startOfDay(now = Date.now()) {
+  const d = new Date(now); d.setHours(0, 0, 0, 0); return d.getTime();
+}
+
+function startOfMonth(now = Date.now()) {
+  const d = new Date(now); d.setDate(1); d.setHours(0, 0, 0, 0); return d.getTime();
+}
+
+function spentSince(since) {
+  return runs.reduce((sum, r) => r.ts >= since ? sum + (r.costUsd || 0) : sum, 0);
+}
+
+// A readable reason if a budget cap is used up, else null. Caps cover every user.
+function budgetBlock(now = Date.now()) {
+  const caps = budgets();
+  const today = spentSince(startOfDay(now));
+  if (caps.daily && today >= caps.daily) {
+    return `Daily budget of $${caps.daily.toFixed(2)} reached ($${today.toFixed(2)} spent today). New runs are blocked until midnight.`;
+  }
+  const month = spentSince(startOfMonth(now));
+  if (caps.monthly && month >= caps.monthly) {
+    return `Monthly budget of $${caps.monthly.toFixed(2)} reached ($${month.toFixed(2)} spent this month). New runs are blocked until the 1st.`;
+  }
+  return null;
+}
+
+// Dashboard data. `username` limits it to one user's runs (null = everyone); what everyone
+// together has spent against the budgets is only in the full report.
+function summary(username, { days = 30 } = {}) {
+  const now = Date.now();
+  const mine = username ? runs.filter(r => r.owner === username) : runs;
+  const group = (keyOf, since = 0) => {
+    const out = {};
+    for (const r of mine) if (r.ts >= since) addTo(out[keyOf(r)] ||= {}, r);
+    return out;
+  };
+  const dayStart = startOfDay(now), monthStart = startOfMonth(now);
+  const bySession = {};
+  for (const r of mine) {
+    const s = bySession[r.sessionKey] ||= { label: r.label };
+    s.label = r.label || s.label;
+    addTo(s, r);
+  }
+  return {
+    today: mine.filter(r => r.ts >= dayStart).reduce(addTo, {}),
+    month: mine.filter(r => r.ts >= monthStart).reduce(addTo, {}),
+    allTime: mine.reduce(addTo, {}),
+    byDay: group(r => dayKey(r.ts), startOfDay(now - (days - 1) * 86400000)),
+    byModel: group(r => r.model || 'unknown'),
+    byAgent: group(r => r.agentName || '(none)'),
+    byUser: username ? null : group(r => r.owner || '(unknown)'),
+    bySession,
+    budgets: username ? budgets() : { ...budgets(), spentToday: spentSince(dayStart), spentMonth: spentSince(monthStart) },
+  };
+}
+
+module.exports = { MODEL_ALIASES, resolveModel, contextLimit, tokensOf, record, addTo, budgetBlock, summary };
@@ -0,0 +1,105 @@
+// User accounts — stored in ~/claude-mobile/users.json with scrypt-hashed passwords.
+// Manage from the terminal:
+//   npm run users -- add alice [--admin]
+//   npm run users -- remove alice
+//   npm run users -- list
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const USERS_FILE = path.join(os.homedir(), 'claude-mobile', 'users.json');
+
+function loadUsers() {
+  try {
+    if (!fs.existsSync(USERS_FILE)) return [];
+    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  } catch(e) {
+    console.error('Failed to load users:', e.message);
+    return [];
+  }
+}
+
+function saveUsers(users) {
+  fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+  const tmp = `${USERS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(users, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, USERS_FILE);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(password, salt, 64).toString('hex') };
+}
+
+// Constant-time check of a password against a stored user record
+function verifyPassword(user, password) {
+  const { hash } = hashPassword(String(password), user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.hash, 'hex'));
+}
+
+// Returns { username, admin } for valid credentials, else null.
+// The file is re-read on every login so CLI changes apply without a restart.
+function authenticate(username, password) {
+  const user = loadUsers().find(u => u.username === String(username || '').trim().toLowerCase());
+  if (!user || !password) return null;
+  return verifyPassword(user, password) ? { username: user.username, admin: !!user.admin } : null;
+}
+
+function hasUsers() {
+  return loadUsers().length > 0;
+}
+
+function isKnownUser(username) {
+  return loadUsers().some(u => u.username === username);
+}
+
+function addUser(username, password, admin = false) {
+  const name = String(username).trim().toLowerCase();
+  if (!/^[a-z0-9_.-]{1,32}$/.test(name)) throw new Error('Username may only contain a-z, 0-9, _ . -');
+  if (String(password).length < 8) throw new Error('Password must be at least 8 characters');
+  const users = loadUsers().filter(u => u.username !== name);
+  users.push({ username: name, ...hashPassword(String(password)), admin: !!admin, createdAt: Date.now() });
+  saveUsers(users);
+  return name;
+}
+
+function removeUser(username) {
+  const users = loadUsers();
+  const remaining = users.filter(u => u.username !== username);
+  saveUsers(remaining);
+  return remaining.length !== users.length;
+}
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (s) => { if (s.includes(question)) process.stdout.write(s); };
+    rl.question(question, (answer) => { rl.close(); process.stdout.write('\n'); resolve(answer); });
+  });
+}
+
+async function cli(argv) {
+  const [cmd, name, ...flags] = argv;
+  if (cmd === 'add' && name) {
+    const password = await promptHidden(`Password for ${name}: `);
+    const confirm = await promptHidden('Repeat password: ');
+    if (password !== confirm) throw new Error('Passwords do not match');
+    const saved = addUser(name, password, flags.includes('--admin'));
+    console.log(`✅ Saved user ${saved}${flags.includes('--admin') ? ' (admin)' : ''}`);
+  } else if (cmd === 'remove' && name) {
+    console.log(removeUser(name) ? `🗑 Removed ${name}` : `No user named ${name}`);
+  } else if (cmd === 'list') {
+    const users = loadUsers();
+    if (!users.length) console.log('No users yet — the server falls back to CLAUDE_PASSWORD');
+    for (const u of users) console.log(`${u.username}${u.admin ? ' (admin)' : ''}`);
+  } else {
+    console.log('Usage: npm run users -- add <name> [--admin] | remove <name> | list');
+  }
+}
+
+if (require.main === module) {
+  cli(process.argv.slice(2)).catch(e => { console.error(`❌ ${e.message}`); process.exit(1); });
+}
+
+module.exports = { USERS_FILE, authenticate, hasUsers, isKnownUser, addUser, removeUser, loadUsers };
@@ -4,55 +4,105 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { WebSocketServer } = require('ws');
-const { spawn } = require('child_process');
-const https = require('https');
+const crypto = require('crypto');
 const { Buffer } = require('buffer');
+const users = require('./lib/users');
+const tokens = require('./lib/tokens');
+const git = require('./lib/git');
+const cron = require('./lib/cron');
+const push = require('./lib/push');
+const transcript = require('./lib/transcript');
+const store = require('./lib/store');
+const exporter = require('./lib/export');
+const shares = require('./lib/shares');
+const search = require('./lib/search');
+const claudeHistory = require('./lib/claude-history');
+const usage = require('./lib/usage');
+const files = require('./lib/files');
+const merge = require('./lib/merge');
+const shell = require('./lib/shell');
+const commands = require('./lib/commands');
+const agents = require('./lib/agents');
+const uploads = require('./lib/uploads');
+const stt = require('./lib/stt');
+const tts = require('./lib/tts');
+const supervisor = require('./lib/supervisor');
+const binaries = require('./lib/binaries');
+const service = require('./lib/service');
+const config = require('./lib/config');
 
 // ── In-memory log ring buffer ────────────────────────────────────────────────
-const LOG_MAX = 200;
 const logLines = [];
 const origLog = console.log.bind(console);
 const origErr = console.error.bind(console);
 function pushLog(level, ...args) {
   const line = { t: Date.now(), level, msg: args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ') };
   logLines.push(line);
-  if (logLines.length > LOG_MAX) logLines.shift();
+  while (logLines.length > config.get().limits.logLines) logLines.shift();
 }
 console.log   = (...a) => { origLog(...a);   pushLog('info',  ...a); };
 console.error = (...a) => { origErr(...a);   pushLog('error', ...a); };
 
 const PORT = process.env.PORT || 3000;
 const PASSWORD = process.env.CLAUDE_PASSWORD || 'changeme';
-const CLAUDE_BIN = '/usr/local/bin/claude';
-const UNBUFFER_BIN = '/usr/local/bin/unbuffer';
-const OPENAI_KEY = process.env.OPENAI_API_KEY || '';
-const UPLOADS_DIR = path.join(os.homedir(), 'claude-mobile', 'uploads');
+const UPLOADS_DIR = uploads.DIR;
+// Directories a session may run in — paths.projectRoots in config.json (PROJECT_ROOTS in
+// .env, else home), leaving out any that don't exist
+function projectRoots() {
+  return config.get().paths.projectRoots
+    .map(p => path.resolve(config.expand(p)))
+    .filter(p => { try { return fs.statSync(p).isDirectory(); } catch(e) { return false; } });
+}
 
-if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+// ── Tool permissions ─────────────────────────────────────────────────────────
+// Claude asks lib/permission-mcp.js before every tool call; it forwards the
+// request here over loopback HTTP and waits for the phone's decision.
+const PERMISSION_TOKEN = crypto.randomBytes(24).toString('hex');
+const PERMISSION_MCP = path.join(__dirname, 'lib', 'permission-mcp.js');
+const PERMISSION_LEVELS = ['allow', 'ask', 'deny'];
+// rules: tool name → allow | ask | deny; anything unlisted falls back to default, which
+// for new sessions is session.permissions in config.json
+const DEFAULT_RULES = { Read: 'allow', Glob: 'allow', Grep: 'allow', LS: 'allow', TodoWrite: 'allow' };
+
+function defaultPermissions() {
+  return { default: config.get().session.permissions, rules: { ...DEFAULT_RULES } };
+}
 
-const SESSIONS_FILE = path.join(os.homedir(), 'claude-mobile', 'sessions.json');
+function clonePermissions(p) {
+  return { default: p.default, rules: { ...p.rules } };
+}
 
 // ── Global session store (persists across phone reconnects) ──────────────────
-// key → { sessionKey, label, claudeSessionId, proc, lineBuffer, attachments, history }
+// key → { sessionKey, label, claudeSessionId, run, lineBuffer, attachments, … }
+// run is the session's supervised claude run (lib/supervisor.js), queued or going
+// Conversation content lives in the per-session transcript (lib/transcript.js), not here
 const globalSessions = new Map();
 
-// Load persisted sessions from disk
+// Load persisted sessions from disk (lib/store.js migrates old formats)
 function loadSessions() {
   try {
-    if (!fs.existsSync(SESSIONS_FILE)) return;
-    const data = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
-    for (const s of data) {
+    for (const s of store.loadAll()) {
       globalSessions.set(s.sessionKey, {
         sessionKey: s.sessionKey,
         label: s.label,
         claudeSessionId: s.claudeSessionId,
-        proc: null, lineBuffer: '', attachments: [], ws: null,
-        history: s.history || [],
-        effort: s.effort || 'high',
-        model: s.model || 'claude-sonnet-4-6',
+        run: null, lineBuffer: '', attachments: [],
+        effort: s.effort || config.get().session.effort,
+        model: s.model || config.get().session.model,
         planMode: s.planMode || false,
         agentName: s.agentName || null,
-        liveBuffer: [],
+        owner: s.owner || null,
+        cwd: s.cwd || null,
+        permissions: s.permissions || defaultPermissions(),
+        queue: s.queue || [],
+        schedules: s.schedules || [],
+        usage: s.usage || {},
+        contextTokens: s.contextTokens || 0,
+        userEdits: s.userEdits || [],
+        parentKey: s.parentKey || null,
+        forkedAtSeq: s.forkedAtSeq ?? null,
+        pendingFork: s.pendingFork || null,
+        pendingPermissions: new Map(),
         createdAt: s.createdAt || Date.now(),
       });
     }
@@ -62,48 +112,471 @@ function loadSessions() {
   }
 }
 
-function saveSessions() {
+// A killed session's run can still be winding down; nothing it does may bring the
+// record or transcript back
+const isGone = (s) => globalSessions.get(s.sessionKey) !== s;
+
+// Queues a debounced write of this one session's record
+function saveSession(s) {
+  if (isGone(s)) return;
+  store.save({
+    sessionKey: s.sessionKey,
+    label: s.label,
+    claudeSessionId: s.claudeSessionId,
+    effort: s.effort || config.get().session.effort,
+    model: s.model || config.get().session.model,
+    planMode: s.planMode || false,
+    agentName: s.agentName || null,
+    owner: s.owner || null,
+    cwd: s.cwd || null,
+    permissions: s.permissions,
+    queue: s.queue || [],
+    schedules: s.schedules || [],
+    usage: s.usage || {},
+    contextTokens: s.contextTokens || 0,
+    userEdits: s.userEdits || [],
+    parentKey: s.parentKey || null,
+    forkedAtSeq: s.forkedAtSeq ?? null,
+    pendingFork: s.pendingFork || null,
+    createdAt: s.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  });
+}
+
+loadSessions();
+
+// Debounced writes are flushed before the process goes away (launchd and systemd send SIGTERM)
+process.on('exit', () => store.flushSync());
+process.on('exit', () => shell.closeAll());
+for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => process.exit(0));
+
+// ── Accounts & connected clients ─────────────────────────────────────────────
+// username → Set of authenticated sockets. A session streams to every socket
+// its owner has open, so a phone and a tablet can watch the same run.
+const userSockets = new Map();
+
+// Falls back to the shared CLAUDE_PASSWORD (as an admin) until users.json has accounts
+function authenticateUser(username, password) {
+  if (users.hasUsers()) return users.authenticate(username, password);
+  const a = Buffer.from(String(password || '')), b = Buffer.from(PASSWORD);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? { username: 'admin', admin: true } : null;
+}
+
+// Sessions from before accounts existed (or whose owner was removed) go to the first admin who logs in
+function claimOrphanSessions(user) {
+  if (!user.admin) return;
+  let claimed = 0;
+  for (const s of globalSessions.values()) {
+    if (s.owner === user.username) continue;
+    if (!s.owner || (users.hasUsers() && !users.isKnownUser(s.owner))) { s.owner = user.username; saveSession(s); claimed++; }
+  }
+  if (claimed) console.log(`👤 ${user.username} claimed ${claimed} unowned sessions`);
+}
+
+// Account for a still-valid token record, or null once the user has been removed. Users
+// are changed with `npm run users` in another process, which saves them afresh, so a
+// token from before the account was last saved (a new password, say) no longer counts.
+function accountForToken(record) {
+  if (!record) return null;
+  if (!users.hasUsers()) return record.username === 'admin' ? { username: 'admin', admin: true } : null;
+  const u = users.loadUsers().find(u => u.username === record.username);
+  if (!u || record.issuedAt < (u.createdAt || 0)) return null;
+  return { username: u.username, admin: !!u.admin };
+}
+
+// Ends live connections that were signed in with a revoked token
+function disconnectToken(tokenId) {
+  for (const socks of userSockets.values()) {
+    for (const sock of socks) {
+      if (sock.tokenId !== tokenId) continue;
+      if (sock.readyState === 1) sock.send(JSON.stringify({ type: 'auth_revoked' }));
+      sock.close();
+    }
+  }
+}
+
+// ── Login rate limiting ──────────────────────────────────────────────────────
+// 5 failed logins from one address within 15 minutes lock it out for 15 minutes
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const loginFailures = new Map(); // ip → { count, first, lockedUntil }
+
+function loginLockedFor(ip) {
+  const f = loginFailures.get(ip);
+  return f && f.lockedUntil > Date.now() ? f.lockedUntil - Date.now() : 0;
+}
+
+function recordLoginFailure(ip) {
+  const now = Date.now();
+  let f = loginFailures.get(ip);
+  if (!f || now - f.first > LOGIN_WINDOW_MS) f = { count: 0, first: now, lockedUntil: 0 };
+  f.count++;
+  if (f.count >= LOGIN_MAX_FAILURES) {
+    f.lockedUntil = now + LOGIN_LOCKOUT_MS;
+    console.warn(`🔒 ${ip} locked out for ${LOGIN_LOCKOUT_MS / 60000} minutes after ${f.count} failed logins`);
+  }
+  loginFailures.set(ip, f);
+}
+
+// A malformed %-escape in a URL comes back as null instead of a URIError nothing catches
+function decodePart(s) {
+  try { return decodeURIComponent(s); } catch(e) { return null; }
+}
+
+// ── HTTP auth ────────────────────────────────────────────────────────────────
+// Accepts the session token as a Bearer header, the ccm_token cookie or ?token=
+function requestToken(req, url) {
+  const bearer = /^Bearer (.+)$/i.exec(req.headers.authorization || '');
+  if (bearer) return bearer[1];
+  const cookie = /(?:^|;\s*)ccm_token=([^;]+)/.exec(req.headers.cookie || '');
+  if (cookie) return decodePart(cookie[1]);
+  return url.searchParams.get('token');
+}
+
+function authenticateRequest(req, url) {
+  return accountForToken(tokens.verifyToken(requestToken(req, url)));
+}
+
+function sendToUser(username, obj, except) {
+  const data = JSON.stringify(obj);
+  let delivered = false;
+  for (const sock of userSockets.get(username) || []) {
+    if (sock === except || sock.readyState !== 1) continue;
+    sock.send(data);
+    delivered = true;
+  }
+  return delivered;
+}
+
+function sendToSession(session, obj, except) {
+  return sendToUser(session.owner, obj, except);
+}
+
+// ── Push notifications ───────────────────────────────────────────────────────
+// Sockets report whether the app is on screen; a locked phone usually has no socket at all
+function ownerIsWatching(session) {
+  for (const sock of userSockets.get(session.owner) || []) {
+    if (sock.readyState === 1 && sock.visible !== false) return true;
+  }
+  return false;
+}
+
+function firstLine(text) {
+  const line = String(text || '').split('\n').map(l => l.replace(/[#*`>_]/g, '').trim()).find(Boolean) || '';
+  return line.length > 180 ? line.slice(0, 179) + '…' : line;
+}
+
+// Pushes to the owner's subscribed devices unless one of them is already looking
+function notify(session, body, { urgent = false } = {}) {
+  if (!session.owner || ownerIsWatching(session)) return;
+  const key = session.sessionKey;
+  // Devices that have been signed out stop receiving pushes
+  const liveTokens = new Set(tokens.listTokens(session.owner).map(t => t.id));
+  push.notifyUser(session.owner, { title: session.label || 'Claude', body, sessionKey: key, tag: key }, {
+    filter: sub => !sub.tokenId || liveTokens.has(sub.tokenId),
+    urgency: urgent ? 'high' : 'normal',
+  }).then(sent => { if (sent) console.log(`🔔 [${key}] pushed to ${sent} device(s): ${body.slice(0, 60)}`); });
+}
+
+// ── Live events ──────────────────────────────────────────────────────────────
+// Appends to the session's transcript, then sends to the owner's devices tagged with
+// its seq. A device that reconnects gets the transcript tail with auth_ok instead.
+const TRANSCRIPT_PAGE = 200;
+
+function pushLive(session, obj, except) {
+  if (isGone(session)) return;
+  const { seq, ts } = transcript.append(session.sessionKey, obj);
+  sendToSession(session, { ...obj, seq, ts }, except);
+}
+
+// Transcript-only note for things the live UI already shows its own way
+function recordSystem(session, text) {
+  if (isGone(session)) return;
+  transcript.append(session.sessionKey, { type: 'note', text });
+}
+
+// ── Exports & share links ────────────────────────────────────────────────────
+// Whole transcripts as Markdown, HTML or JSON (lib/export.js). Share links give
+// read-only access to one session's HTML view until they expire or are revoked.
+function exportMeta(session) {
+  return {
+    sessionKey: session.sessionKey,
+    label: session.label,
+    model: session.model,
+    effort: session.effort,
+    planMode: !!session.planMode,
+    agentName: session.agentName,
+    cwd: session.cwd,
+    createdAt: session.createdAt,
+    exportedAt: Date.now(),
+  };
+}
+
+function publicShares(sessionKey) {
+  return shares.listFor(sessionKey).map(s => ({ id: s.id, createdAt: s.createdAt, expiresAt: s.expiresAt }));
+}
+
+// ── Permission requests ──────────────────────────────────────────────────────
+function describeToolCall(toolName, input) {
+  const first = Object.values(input || {})[0];
+  if (first === undefined) return toolName;
+  const text = typeof first === 'object' ? JSON.stringify(first) : String(first);
+  return `${toolName} · ${text.replace(/\s+/g, ' ').slice(0, 80)}`;
+}
+
+function recordPermission(session, behavior, toolName, input, how) {
+  const icon = behavior === 'allow' ? '✓ Allowed' : '✗ Denied';
+  recordSystem(session, `${icon} ${describeToolCall(toolName, input)} (${how})`);
+}
+
+// Resolves with the answer for the permission-prompt tool
+function requestPermission(session, toolName, input) {
+  const key = session.sessionKey;
+  const isPlanExit = toolName === 'ExitPlanMode';
+  if (!isPlanExit && !agents.allows(session.agentTools, toolName, input)) {
+    recordPermission(session, 'deny', toolName, input, `not one of ${session.agentName}'s tools`);
+    console.log(`🔐 [${key}] deny ${toolName}: not one of the agent's tools`);
+    return Promise.resolve({ behavior: 'deny', message: `${toolName} is not one of the tools the ${session.agentName} agent may use` });
+  }
+  const policy = isPlanExit ? 'ask' : (session.permissions?.rules?.[toolName] || session.permissions?.default || 'ask');
+
+  if (policy !== 'ask') {
+    recordPermission(session, policy, toolName, input, 'policy');
+    console.log(`🔐 [${key}] ${policy} ${toolName} by policy`);
+    return Promise.resolve(policy === 'allow'
+      ? { behavior: 'allow', updatedInput: input }
+      : { behavior: 'deny', message: `${toolName} is blocked by this session's permission policy` });
+  }
+
+  return new Promise((resolve) => {
+    const id = crypto.randomBytes(6).toString('hex');
+    session.pendingPermissions.set(id, { id, toolName, input, resolve });
+    console.log(`🔐 [${key}] Asking phone about ${toolName} (${id})`);
+    if (isPlanExit) pushLive(session, { type: 'plan_waiting', id, plan: input?.plan || '', sessionKey: key });
+    else pushLive(session, { type: 'permission_request', id, tool: toolName, input, sessionKey: key });
+    notify(session, isPlanExit ? `📋 Plan ready for review: ${firstLine(input?.plan)}` : `🔐 Approve ${describeToolCall(toolName, input)}?`, { urgent: true });
+  });
+}
+
+function resolvePermission(session, id, behavior, how, message) {
+  const pending = session.pendingPermissions.get(id);
+  if (!pending) return false;
+  session.pendingPermissions.delete(id);
+  pending.resolve(behavior === 'allow'
+    ? { behavior: 'allow', updatedInput: pending.input }
+    : { behavior: 'deny', message: message || 'The user denied this tool call from their phone' });
+  recordPermission(session, behavior, pending.toolName, pending.input, how);
+  pushLive(session, { type: 'permission_resolved', id, behavior, sessionKey: session.sessionKey });
+  return true;
+}
+
+// ── Git panel ────────────────────────────────────────────────────────────────
+// Runs at the root of the repo containing the session's project directory, as long as
+// that root is itself inside the project roots (not, say, a dotfiles repo in ~)
+async function handleGit(session, msg, send) {
+  const reply = (obj) => send({ ...obj, sessionKey: session.sessionKey });
   try {
-    const data = [...globalSessions.values()].map(s => ({
-      sessionKey: s.sessionKey,
-      label: s.label,
-      claudeSessionId: s.claudeSessionId,
-      history: s.history,
-      effort: s.effort || 'high',
-      model: s.model || 'claude-sonnet-4-6',
-      planMode: s.planMode || false,
-      agentName: s.agentName || null,
-      createdAt: s.createdAt || Date.now(),
-    }));
-    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(data, null, 2));
+    if (!projectRoot(session)) throw new Error(NO_PROJECT);
+    const root = await git.repoRoot(projectRoot(session));
+    if (!root) return reply({ type: 'git_error', op: msg.type, error: 'This session\'s project is not a git repository' });
+    if (!resolveProjectDir(root)) throw new Error(`The git repository for this project (${root}) is outside the project folders`);
+    if (['git_commit', 'git_checkout'].includes(msg.type) && session.run) {
+      throw new Error('Claude is still working in this session — wait for it to finish');
+    }
+    switch (msg.type) {
+      case 'git_status':
+        return reply({ type: 'git_state', root, ...(await git.status(root)) });
+      case 'git_diff':
+        return reply({ type: 'git_diff_view', path: msg.path, staged: !!msg.staged, ...(await git.diff(root, msg.path, !!msg.staged)) });
+      case 'git_branches':
+        return reply({ type: 'git_branch_list', ...(await git.branches(root)) });
+      case 'git_stage':
+        await git.stage(root, msg.paths);
+        break;
+      case 'git_unstage':
+        await git.unstage(root, msg.paths);
+        break;
+      case 'git_commit': {
+        const output = await git.commit(root, msg.message);
+        console.log(`🔀 [${session.sessionKey}] ${output.split('\n')[0]}`);
+        recordSystem(session, `🔀 ${output.split('\n')[0]}`);
+        reply({ type: 'git_committed', output });
+        break;
+      }
+      case 'git_checkout':
+        await git.checkout(root, msg.branch, !!msg.create);
+        recordSystem(session, `🔀 ${msg.create ? 'Created and switched to' : 'Switched to'} branch ${msg.branch}`);
+        reply({ type: 'git_branch_list', ...(await git.branches(root)) });
+        break;
+      default:
+        return;
+    }
+    // Changes answer with the fresh status
+    reply({ type: 'git_state', root, ...(await git.status(root)) });
   } catch(e) {
-    console.error('Failed to save sessions:', e.message);
+    reply({ type: 'git_error', op: msg.type, error: e.message });
   }
 }
 
-loadSessions();
+// ── Files panel ──────────────────────────────────────────────────────────────
+// Browses and edits the directory the session runs in. One that wasn't picked, or is no
+// longer inside the project roots, falls back to the first root — never the server's own
+// folder, which holds .env. null when no root exists at all.
+function projectRoot(session) {
+  return (session.cwd && resolveProjectDir(session.cwd)) || projectRoots()[0] || null;
+}
+
+const NO_PROJECT = 'No project folder is available — an admin can add one under Server Settings → Paths';
+
+function handleFiles(session, msg, send, username) {
+  const reply = (obj) => send({ ...obj, sessionKey: session.sessionKey });
+  const root = projectRoot(session);
+  try {
+    if (!root) throw new Error(NO_PROJECT);
+    switch (msg.type) {
+      case 'list_files':
+        return reply({ type: 'file_list', ...files.list(root, msg.path) });
+      case 'read_file':
+        return reply({ type: 'file_content', line: Number(/:(\d+)(?::\d+)?$/.exec(msg.path || '')?.[1]) || null, ...files.read(root, msg.path) });
+      case 'write_file': {
+        const { saved, conflict } = files.save(root, msg.path, msg.content, msg.baseHash);
+        if (conflict) {
+          if (conflict.kind !== 'text' || conflict.truncated) throw new Error(`${conflict.path} changed on disk and can no longer be edited here`);
+          // `base` is the text the edit started from, so both sides' changes can be told apart
+          return reply({
+            type: 'file_conflict', ...conflict, changedBy: session.run ? 'claude' : null,
+            chunks: merge.merge3(String(msg.base ?? ''), msg.content, conflict.content),
+          });
+        }
+        // Claude is told about hand edits at the start of its next turn (see runPrompt)
+        if (!session.userEdits.includes(saved.path)) session.userEdits.push(saved.path);
+        saveSession(session);
+        console.log(`✏️  [${session.sessionKey}] ${username} edited ${saved.path}`);
+        pushLive(session, { type: 'sys_msg', text: `✏️ ${username} edited ${saved.path}`, sessionKey: session.sessionKey });
+        return reply({ type: 'file_saved', ...saved });
+      }
+    }
+  } catch(e) {
+    reply({ type: 'file_error', op: msg.type, path: msg.path || '', error: e.message });
+  }
+}
 
-const MIME = {
-  '.html': 'text/html', '.css': 'text/css', '.js': 'application/javascript',
-  '.json': 'application/json', '.md': 'text/plain', '.txt': 'text/plain',
-  '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg',
-  '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp',
-  '.svg': 'image/svg+xml', '.csv': 'text/csv',
-  '.py': 'text/plain', '.ts': 'text/plain', '.tsx': 'text/plain',
-  '.js': 'text/plain', '.jsx': 'text/plain',
+// ── Shell tabs ───────────────────────────────────────────────────────────────
+// Shell output goes to every device of the user who opened it; a device that
+// reconnects attaches again and is sent the recent output to redraw from
+const shellHandlers = {
+  output: (sh, data) => sendToUser(sh.owner, { type: 'shell_output', shellId: sh.id, data }),
+  exit: (sh, { code, reason }) => {
+    console.log(`⌨️  [${sh.owner}] shell ${sh.id} ended (${reason})`);
+    sendToUser(sh.owner, { type: 'shell_exit', shellId: sh.id, code, reason });
+  },
 };
 
+// ── Project directories ──────────────────────────────────────────────────────
+// Returns the real path of dir if it is a directory inside one of the project roots, else null
+function resolveProjectDir(dir) {
+  if (!dir || typeof dir !== 'string') return null;
+  try {
+    const real = fs.realpathSync(path.resolve(dir.replace(/^~(?=$|\/)/, os.homedir())));
+    if (!fs.statSync(real).isDirectory()) return null;
+    const inRoot = projectRoots().some(root => {
+      const r = fs.realpathSync(root);
+      return real === r || real.startsWith(r + path.sep);
+    });
+    return inRoot ? real : null;
+  } catch(e) {
+    return null;
+  }
+}
+
 const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const pathname = url.pathname;
+
+  // ── Permission prompts from lib/permission-mcp.js (loopback only) ──
+  if (pathname === '/internal/permission' && req.method === 'POST') {
+    const loopback = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+    if (!loopback || req.headers['x-permission-token'] !== PERMISSION_TOKEN) { res.writeHead(403); res.end(); return; }
+    let body = [];
+    req.on('data', chunk => body.push(chunk));
+    req.on('end', () => {
+      let data;
+      try { data = JSON.parse(Buffer.concat(body).toString()); } catch(e) { res.writeHead(400); res.end(); return; }
+      const session = globalSessions.get(data.sessionKey);
+      const answer = session
+        ? requestPermission(session, data.toolName, data.input || {})
+        : Promise.resolve({ behavior: 'deny', message: 'Unknown mobile session' });
+      answer.then(decision => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(decision));
+      });
+    });
+    return;
+  }
 
   // ── Main app ──
-  if (req.url === '/' || req.url === '/index.html') {
+  if (pathname === '/' || pathname === '/index.html') {
     res.writeHead(200, { 'Content-Type': 'text/html' });
     fs.createReadStream(path.join(__dirname, 'index.html')).pipe(res);
     return;
   }
 
+  // ── Service worker (offline app shell, push notifications) ──
+  if (pathname === '/sw.js') {
+    res.writeHead(200, { 'Content-Type': 'application/javascript', 'Cache-Control': 'no-cache' });
+    fs.createReadStream(path.join(__dirname, 'sw.js')).pipe(res);
+    return;
+  }
+
+  // ── Web app manifest and icons, for Add to Home Screen ──
+  if (pathname === '/manifest.webmanifest') {
+    res.writeHead(200, { 'Content-Type': 'application/manifest+json', 'Cache-Control': 'no-cache' });
+    fs.createReadStream(path.join(__dirname, 'manifest.webmanifest')).pipe(res);
+    return;
+  }
+  if (/^\/icons\/icon-\d+\.png$/.test(pathname) && fs.existsSync(path.join(__dirname, pathname))) {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=86400' });
+    fs.createReadStream(path.join(__dirname, pathname)).pipe(res);
+    return;
+  }
+
+  // ── Shared markdown renderer (also used for HTML exports) ──
+  if (pathname === '/markdown.js') {
+    res.writeHead(200, { 'Content-Type': 'application/javascript', 'Cache-Control': 'no-cache' });
+    fs.createReadStream(path.join(__dirname, 'lib', 'markdown.js')).pipe(res);
+    return;
+  }
+
+  // ── Read-only share links (the unguessable id is the credential) ──
+  if (pathname.startsWith('/share/')) {
+    const share = shares.find(pathname.slice(7));
+    const session = share && globalSessions.get(share.sessionKey);
+    const headers = { 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer', 'X-Robots-Tag': 'noindex' };
+    if (!session || session.owner !== share.owner) {
+      res.writeHead(404, { ...headers, 'Content-Type': 'text/plain' });
+      res.end('This link has expired or was revoked');
+      return;
+    }
+    const banner = `Read-only shared transcript · link expires ${new Date(share.expiresAt).toUTCString()}`;
+    const { body } = exporter.render('html', exportMeta(session), transcript.all(session.sessionKey), { banner });
+    // Transcript text is escaped, and the CSP stops anything that slips through from running
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/html; charset=utf-8', 'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'" });
+    res.end(body);
+    return;
+  }
+
+  // ── Everything below needs a session token ──
+  const account = authenticateRequest(req, url);
+  if (!account) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('Sign in from the app first');
+    return;
+  }
+
   // ── File browser UI ──
-  if (req.url === '/logs') {
+  if (pathname === '/logs') {
+    if (!account.admin) { res.writeHead(403); res.end('Admins only'); return; }
     const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"/>
 <meta name="viewport" content="width=device-width,initial-scale=1"/>
 <title>Server Logs</title>
@@ -127,12 +600,9 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  if (req.url === '/files') {
+  if (pathname === '/files') {
     try {
-      const files = fs.readdirSync(UPLOADS_DIR).map(name => {
-        const stat = fs.statSync(path.join(UPLOADS_DIR, name));
-        return { name, size: stat.size, mtime: stat.mtime };
-      }).sort((a, b) => b.mtime - a.mtime);
+      const files = uploads.list(account.admin ? null : account.username);
 
       const rows = files.map(f => {
         const ext = path.extname(f.name).toLowerCase();
@@ -175,29 +645,162 @@ const server = http.createServer((req, res) => {
   }
 
   // ── Serve individual file ──
-  if (req.url.startsWith('/file/')) {
-    const filename = decodeURIComponent(req.url.slice(6));
-    const filePath = path.join(UPLOADS_DIR, path.basename(filename));
-    if (!fs.existsSync(filePath)) { res.writeHead(404); res.end('Not found'); return; }
-    const ext = path.extname(filename).toLowerCase();
-    const ct = MIME[ext] || 'application/octet-stream';
+  if (pathname.startsWith('/file/')) {
+    const filename = decodePart(pathname.slice(6));
+    if (filename === null) { res.writeHead(400); res.end('Bad file name'); return; }
+    const filePath = uploads.resolve(filename, account.admin ? null : account.username);
+    if (!filePath) { res.writeHead(404); res.end('Not found'); return; }
+    const headers = {
+      'Content-Type': files.contentType(filename),
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(path.basename(filename))}`,
+      'X-Content-Type-Options': 'nosniff',
+    };
+    // Uploaded (or Claude-written) HTML/SVG is served on this origin, so it must not run script as the app
+    if (headers['Content-Type'] !== 'application/pdf') headers['Content-Security-Policy'] = 'sandbox';
+    res.writeHead(200, headers);
+    fs.createReadStream(filePath).pipe(res);
+    return;
+  }
+
+  // ── Raw project file: /project-file/<sessionKey>?path=lib/parser.js[&download=1] ──
+  if (pathname.startsWith('/project-file/')) {
+    const sessionKey = decodePart(pathname.slice(14));
+    if (sessionKey === null) { res.writeHead(400); res.end('Bad session key'); return; }
+    const session = globalSessions.get(sessionKey);
+    if (!session || session.owner !== account.username) { res.writeHead(404); res.end('Not found'); return; }
+    let file;
+    try {
+      if (!projectRoot(session)) throw new Error(NO_PROJECT);
+      file = files.open(projectRoot(session), url.searchParams.get('path'));
+    } catch(e) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }); res.end(e.message); return;
+    }
+    const disposition = url.searchParams.get('download') ? 'attachment' : 'inline';
+    const headers = {
+      'Content-Type': file.contentType,
+      'Content-Length': file.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-store',
+    };
+    // Project HTML/SVG opened directly must not run script as this app (browsers won't show PDFs sandboxed)
+    if (file.contentType !== 'application/pdf') headers['Content-Security-Policy'] = 'sandbox';
+    res.writeHead(200, headers);
+    fs.createReadStream(file.real).pipe(res);
+    return;
+  }
+
+  // ── Session export ──
+  if (pathname.startsWith('/export/')) {
+    const sessionKey = decodePart(pathname.slice(8));
+    if (sessionKey === null) { res.writeHead(400); res.end('Bad session key'); return; }
+    const session = globalSessions.get(sessionKey);
+    if (!session || session.owner !== account.username) { res.writeHead(404); res.end('Not found'); return; }
+    const format = url.searchParams.get('format') || 'md';
+    if (!exporter.isFormat(format)) { res.writeHead(400); res.end('format must be md, html or json'); return; }
+    const out = exporter.render(format, exportMeta(session), transcript.all(session.sessionKey));
     res.writeHead(200, {
-      'Content-Type': ct,
-      'Content-Disposition': `inline; filename="${path.basename(filename)}"`,
+      'Content-Type': out.contentType,
+      'Content-Disposition': `attachment; filename="${out.filename}"`,
+      'Cache-Control': 'no-store',
     });
-    fs.createReadStream(filePath).pipe(res);
+    res.end(out.body);
     return;
   }
 
-  // ── Whisper transcription ──
-  if (req.url === '/transcribe' && req.method === 'POST') {
-    let body = [];
-    req.on('data', chunk => body.push(chunk));
+  // ── Chunked attachment uploads (lib/uploads.js) ──
+  // POST /upload {name, size, sha256?} starts one, PUT /upload/<id>?offset=N sends the
+  // bytes from N (a wrong N gets 409 with the length so far), DELETE /upload/<id> drops it
+  if (pathname === '/upload' || pathname.startsWith('/upload/')) {
+    const id = pathname.slice(8);
+    const reply = (status, obj) => { res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }); res.end(JSON.stringify(obj)); };
+    const failed = (e) => reply(e.status || 500, { error: e.message, received: e.received });
+    const limit = pathname === '/upload' ? 16 * 1024 : uploads.CHUNK_MAX;
+    if (req.method === 'DELETE') {
+      try { uploads.cancel(account.username, id); reply(200, { ok: true }); } catch(e) { failed(e); }
+      return;
+    }
+    if (!((req.method === 'POST' && !id) || (req.method === 'PUT' && id))) { res.writeHead(405); res.end(); return; }
+    let body = [], size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) { reply(413, { error: 'Chunk too large' }); req.destroy(); return; }
+      body.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) return;
+      const data = Buffer.concat(body);
+      if (req.method === 'POST') {
+        let info;
+        try { info = JSON.parse(data.toString()); } catch(e) { return reply(400, { error: 'Expected JSON' }); }
+        try { reply(200, uploads.start(account.username, info)); } catch(e) { failed(e); }
+        return;
+      }
+      uploads.append(account.username, id, Number(url.searchParams.get('offset')), data)
+        .then(out => {
+          if (out.file) console.log(`📎 ${account.username} uploaded ${out.file.name} (${(out.file.size / 1024).toFixed(0)} KB${out.file.scaled ? ', scaled' : ''})`);
+          reply(200, out);
+        })
+        .catch(failed);
+    });
+    return;
+  }
+
+  // ── Voice transcription (lib/stt.js) ──
+  // POST {audio: base64, mimeType, language?}. With ?stream=1 the answer is one JSON
+  // object per line: {partial} while the backend works, then {text} or {error}.
+  if (pathname === '/transcribe' && req.method === 'POST') {
+    const reply = (status, obj) => { res.writeHead(status, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(obj)); };
+    if (!voiceOn()) return reply(503, { error: stt.ENABLED ? 'Voice input is turned off' : 'Voice input is not set up on the server' });
+    const limit = Math.ceil(stt.MAX_BYTES * 4 / 3) + 4096;
+    let body = [], size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) { reply(413, { error: `Recordings can be at most ${stt.MAX_SECONDS} seconds` }); req.destroy(); return; }
+      body.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) return;
+      let data;
+      try { data = JSON.parse(Buffer.concat(body).toString()); } catch(e) { return reply(400, { error: 'Expected JSON' }); }
+      const audio = Buffer.from(String(data?.audio || ''), 'base64');
+      if (!audio.length) return reply(400, { error: 'No audio received' });
+      if (audio.length > stt.MAX_BYTES) return reply(413, { error: `Recordings can be at most ${stt.MAX_SECONDS} seconds` });
+      const opts = { mimeType: String(data.mimeType || 'audio/webm'), language: data.language };
+      if (url.searchParams.get('stream') !== '1') {
+        stt.transcribe(audio, opts).then(text => reply(200, { text })).catch(e => reply(500, { error: e.message }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-store' });
+      const line = (obj) => res.write(JSON.stringify(obj) + '\n');
+      stt.transcribe(audio, { ...opts, onPartial: partial => line({ partial }) })
+        .then(text => line({ text }), e => line({ error: e.message }))
+        .finally(() => res.end());
+    });
+    return;
+  }
+
+  // ── Read-aloud voice (lib/tts.js): POST {text} → audio ──
+  if (pathname === '/speak' && req.method === 'POST') {
+    const reply = (status, obj) => { res.writeHead(status, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(obj)); };
+    if (!serverVoiceOn()) return reply(503, { error: tts.ENABLED ? 'The server voice is turned off' : 'No server voice is set up' });
+    let body = [], size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > 256 * 1024) { reply(413, { error: 'Too much text' }); req.destroy(); return; }
+      body.push(chunk);
+    });
     req.on('end', () => {
-      const data = JSON.parse(Buffer.concat(body).toString());
-      transcribeAudio(data.audio, data.mimeType || 'audio/webm')
-        .then(text => { res.writeHead(200, {'Content-Type':'application/json'}); res.end(JSON.stringify({text})); })
-        .catch(e => { res.writeHead(500, {'Content-Type':'application/json'}); res.end(JSON.stringify({error:e.message})); });
+      if (size > 256 * 1024) return;
+      let data;
+      try { data = JSON.parse(Buffer.concat(body).toString()); } catch(e) { return reply(400, { error: 'Expected JSON' }); }
+      if (!String(data?.text || '').trim()) return reply(400, { error: 'Nothing to say' });
+      tts.synthesize(data.text)
+        .then(({ audio, contentType }) => {
+          res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': audio.length, 'Cache-Control': 'no-store' });
+          res.end(audio);
+        })
+        .catch(e => reply(500, { error: e.message }));
     });
     return;
   }
@@ -205,13 +808,38 @@ const server = http.createServer((req, res) => {
   res.writeHead(404); res.end();
 });
 
-const wss = new WebSocketServer({ server });
+// Files go through /upload, so no message needs to be large
+const wss = new WebSocketServer({ server, maxPayload: 16 * 1024 * 1024 });
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   let authenticated = false;
-  let mySessionKeys = new Set(); // sessions this WS connection is managing
+  let user = null; // { username, admin }
+  const ip = req.socket.remoteAddress;
 
   const send = (obj) => { if (ws.readyState === 1) ws.send(JSON.stringify(obj)); };
+  // Only the owner may see or drive a session
+  const ownSession = (k) => { const s = globalSessions.get(k); return s && s.owner === user.username ? s : null; };
+  const summarize = (s) => ({
+    sessionKey: s.sessionKey,
+    label: s.label,
+    // Newest events; older ones are fetched with get_transcript
+    transcript: transcript.page(s.sessionKey, { limit: TRANSCRIPT_PAGE }),
+    pendingPermissions: [...s.pendingPermissions.values()].map(p => ({ id: p.id, tool: p.toolName, input: p.input })),
+    thinking: !!s.run,
+    run: s.run ? supervisor.info(s.run) : null,
+    effort: s.effort || config.get().session.effort,
+    model: s.model || config.get().session.model,
+    planMode: s.planMode || false,
+    agentName: s.agentName || null,
+    cwd: s.cwd || null,
+    parentKey: s.parentKey || null,
+    forkedAtSeq: s.forkedAtSeq ?? null,
+    permissions: s.permissions,
+    queue: publicQueue(s),
+    schedules: s.schedules,
+    usage: s.usage,
+    context: { tokens: s.contextTokens || 0, limit: usage.contextLimit(s.model) },
+  });
 
   ws.on('message', (raw) => {
     let msg;
@@ -219,52 +847,60 @@ wss.on('connection', (ws) => {
 
     // ── Auth ──────────────────────────────────────────────────────────────
     if (!authenticated) {
-      if (msg.type === 'auth' && msg.password === PASSWORD) {
+      if (msg.type !== 'auth') { send({ type: 'auth_fail' }); return; }
+
+      // Reconnects present the token from the last login instead of the password
+      let account = null, token = null;
+      if (msg.token) {
+        const record = tokens.verifyToken(msg.token);
+        account = accountForToken(record);
+        if (account) { token = msg.token; ws.tokenId = record.id; }
+        else { send({ type: 'auth_fail', expired: true }); return; }
+      } else {
+        const locked = loginLockedFor(ip);
+        if (locked) {
+          send({ type: 'auth_fail', locked: true, retryAfter: Math.ceil(locked / 1000) });
+          console.warn(`🔒 Rejected login from locked-out ${ip}`);
+          return;
+        }
+        account = authenticateUser(msg.username, msg.password);
+        if (account) {
+          loginFailures.delete(ip);
+          const issued = tokens.issueToken(account, { device: req.headers['user-agent'], ip });
+          token = issued.token;
+          ws.tokenId = issued.record.id;
+        } else {
+          recordLoginFailure(ip);
+        }
+      }
+
+      if (account) {
         authenticated = true;
+        user = account;
+        if (!userSockets.has(user.username)) userSockets.set(user.username, new Set());
+        userSockets.get(user.username).add(ws);
+        ws.admin = !!user.admin;
+        claimOrphanSessions(user);
+        const mine = [...globalSessions.values()].filter(s => s.owner === user.username);
 
         // Send existing sessions back to client for restoration
-        const activeSessions = [...globalSessions.values()].map(s => ({
-          sessionKey: s.sessionKey,
-          label: s.label,
-          history: s.history,
-          thinking: !!s.proc,
-          effort: s.effort || 'high',
-          model: s.model || 'sonnet',
-        }));
-
-        send({ type: 'auth_ok', sessions: activeSessions });
-        console.log(`📱 Phone authenticated (${activeSessions.length} existing sessions)`);
-        // Replay buffered output for any currently-running sessions
-        for (const s of globalSessions.values()) {
-          if (s.proc && s.liveBuffer.length > 0) {
-            console.log(`  ↩ Replaying ${s.liveBuffer.length} events for session ${s.sessionKey}`);
-            for (const event of s.liveBuffer) {
-              if (ws.readyState === 1) ws.send(JSON.stringify(event));
-            }
-          }
-        }
-
-        // Re-attach WS to existing sessions so they stream to this client
-        for (const s of globalSessions.values()) {
-          s.ws = ws;
-          mySessionKeys.add(s.sessionKey);
-        }
+        const activeSessions = mine.map(summarize);
 
-        // Deliver any done events that fired while phone was disconnected
-        for (const s of globalSessions.values()) {
-          if (s.pendingDone) {
-            console.log(`  → Delivering queued done for ${s.sessionKey}`);
-            if (ws.readyState === 1) ws.send(s.pendingDone);
-            s.pendingDone = null;
-          }
-        }
+        send({ type: 'auth_ok', user, token, tokenId: ws.tokenId, tokenTtl: tokens.TTL_MS, sessions: activeSessions, ...features(user.admin),
+          server: user.admin ? serverInfo() : null });
+        console.log(`📱 ${user.username} authenticated (${activeSessions.length} existing sessions, ${userSockets.get(user.username).size} devices)`);
       } else {
         send({ type: 'auth_fail' });
-        console.warn('🔒 Bad password attempt');
+        console.warn(`🔒 Bad login attempt${msg.username ? ` for "${String(msg.username).slice(0, 32)}"` : ''}`);
       }
       return;
     }
 
+    if (msg.sessionKey != null && !transcript.validKey(msg.sessionKey)) {
+      console.warn(`⚠ ${user.username} sent a bad session key (${msg.type})`);
+      send({ type: 'error', text: 'Invalid session key — letters, digits, _ and - only, at most 64' });
+      return;
+    }
     const key = msg.sessionKey || 'default';
 
     // ── Kill session ──────────────────────────────────────────────────────
@@ -273,78 +909,221 @@ wss.on('connection', (ws) => {
       return;
     }
 
+    // ── Push notifications ────────────────────────────────────────────────
+    if (msg.type === 'visibility') {
+      ws.visible = msg.visible !== false;
+      return;
+    }
+
+    if (msg.type === 'get_push') {
+      send({ type: 'push_config', publicKey: push.publicKey, endpoints: push.subscriptionsFor(user.username).map(s => s.endpoint) });
+      return;
+    }
+
+    if (msg.type === 'push_subscribe' || msg.type === 'push_unsubscribe') {
+      try {
+        if (msg.type === 'push_subscribe') push.subscribe(user.username, msg.subscription, { tokenId: ws.tokenId, device: req.headers['user-agent'] });
+        else if (push.subscriptionsFor(user.username).some(s => s.endpoint === msg.endpoint)) push.unsubscribe(msg.endpoint);
+        console.log(`🔔 ${user.username} ${msg.type === 'push_subscribe' ? 'enabled' : 'disabled'} notifications`);
+      } catch(e) {
+        send({ type: 'push_error', error: e.message });
+        return;
+      }
+      send({ type: 'push_config', publicKey: push.publicKey, endpoints: push.subscriptionsFor(user.username).map(s => s.endpoint) });
+      return;
+    }
+
+    if (msg.type === 'push_test') {
+      push.notifyUser(user.username, { title: 'Claude Code Mobile', body: '🔔 Notifications are working', tag: 'test' })
+        .then(sent => send({ type: 'push_tested', sent }));
+      return;
+    }
+
+    // ── Signed-in devices ─────────────────────────────────────────────────
+    if (msg.type === 'list_tokens') {
+      send({ type: 'tokens_list', tokens: tokens.listTokens(user.admin ? null : user.username), currentId: ws.tokenId });
+      return;
+    }
+
+    if (msg.type === 'revoke_token') {
+      const target = tokens.listTokens().find(t => t.id === msg.id);
+      if (!target || (!user.admin && target.username !== user.username)) return;
+      tokens.revokeToken(msg.id);
+      console.log(`🔑 ${user.username} revoked a token of ${target.username} (${target.device.slice(0, 40)})`);
+      send({ type: 'tokens_list', tokens: tokens.listTokens(user.admin ? null : user.username), currentId: ws.tokenId });
+      disconnectToken(msg.id);
+      return;
+    }
+
+    if (msg.type === 'logout') {
+      tokens.revokeToken(ws.tokenId);
+      disconnectToken(ws.tokenId);
+      return;
+    }
+
     if (msg.type === 'set_effort') {
-      const s = globalSessions.get(key);
-      if (s) { s.effort = msg.level; saveSessions(); }
+      const s = ownSession(key);
+      if (s) { s.effort = msg.level; saveSession(s); }
       return;
     }
 
     if (msg.type === 'set_model') {
-      const s = globalSessions.get(key);
-      if (s) { s.model = msg.model; saveSessions(); }
+      const s = ownSession(key);
+      if (s) { s.model = msg.model; saveSession(s); }
       return;
     }
 
     if (msg.type === 'set_plan_mode') {
-      const s = globalSessions.get(key);
-      if (s) { s.planMode = msg.enabled; saveSessions(); }
+      const s = ownSession(key);
+      if (s) { s.planMode = msg.enabled; saveSession(s); }
+      return;
+    }
+
+    // Plan approval answers Claude's ExitPlanMode permission request
+    if (msg.type === 'plan_approve' || msg.type === 'plan_reject') {
+      const s = ownSession(key);
+      const pending = s && [...s.pendingPermissions.values()].find(p => p.toolName === 'ExitPlanMode');
+      if (!pending) return;
+      const approved = msg.type === 'plan_approve';
+      resolvePermission(s, pending.id, approved ? 'allow' : 'deny', 'plan', approved ? null : 'The user rejected the plan');
+      console.log(`${approved ? '✓' : '✗'} [${key}] Plan ${approved ? 'approved' : 'rejected'}`);
+      if (!approved) setTimeout(() => { if (s.run) cancelRun(s); }, 200);
+      return;
+    }
+
+    if (msg.type === 'permission_response') {
+      const s = ownSession(key);
+      const pending = s?.pendingPermissions.get(msg.id);
+      if (!pending) return;
+      const behavior = msg.behavior === 'allow' ? 'allow' : 'deny';
+      // "Always" answers become a rule for the rest of the session
+      if (msg.remember) {
+        s.permissions.rules[pending.toolName] = behavior;
+        saveSession(s);
+        send({ type: 'session_permissions', permissions: s.permissions, sessionKey: key });
+      }
+      resolvePermission(s, msg.id, behavior, msg.remember ? 'phone, remembered' : 'phone');
       return;
     }
 
-    if (msg.type === 'plan_approve') {
-      const s = globalSessions.get(key);
-      if (s?.proc?.stdin) {
-        s._planWaitingSent = false;  // allow detecting next plan cycle
-        s.proc.stdin.write('yes\n');
-        console.log(`✓ [${key}] Plan approved`);
+    if (msg.type === 'set_permissions') {
+      const s = ownSession(key);
+      const p = msg.permissions || {};
+      if (!s || !PERMISSION_LEVELS.includes(p.default)) return;
+      const rules = {};
+      for (const [tool, level] of Object.entries(p.rules || {})) {
+        if (/^[\w.:-]+$/.test(tool) && PERMISSION_LEVELS.includes(level)) rules[tool] = level;
       }
+      s.permissions = { default: p.default, rules };
+      saveSession(s);
+      send({ type: 'session_permissions', permissions: s.permissions, sessionKey: key });
       return;
     }
 
-    if (msg.type === 'plan_reject') {
-      const s = globalSessions.get(key);
-      if (s?.proc) {
-        if (s.proc.stdin) s.proc.stdin.write('no\n');
-        setTimeout(() => { try { s.proc?.kill('SIGTERM'); } catch(e){} }, 200);
-        console.log(`✗ [${key}] Plan rejected`);
+    // ── Browse project directories (restricted to the project roots) ─────
+    if (msg.type === 'list_dirs') {
+      if (!msg.path) {
+        send({ type: 'dirs_list', path: null, parent: null, dirs: projectRoots().map(p => ({ name: p.replace(os.homedir(), '~'), path: p, git: fs.existsSync(path.join(p, '.git')) })) });
+        return;
+      }
+      const dir = resolveProjectDir(msg.path);
+      if (!dir) { send({ type: 'dirs_list', path: msg.path, parent: null, dirs: [], error: 'Not an allowed project directory' }); return; }
+      try {
+        const dirs = fs.readdirSync(dir, { withFileTypes: true })
+          .filter(d => d.isDirectory() && !d.name.startsWith('.') && d.name !== 'node_modules')
+          .map(d => ({ name: d.name, path: path.join(dir, d.name), git: fs.existsSync(path.join(dir, d.name, '.git')) }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        const parent = projectRoots().includes(dir) ? null : resolveProjectDir(path.dirname(dir));
+        send({ type: 'dirs_list', path: dir, parent, dirs });
+      } catch(e) {
+        send({ type: 'dirs_list', path: dir, parent: null, dirs: [], error: e.message });
       }
       return;
     }
 
-    if (msg.type === 'list_agents') {
-      const agentsDir = path.join(os.homedir(), '.claude', 'agents');
-      const agents = [];
-      if (fs.existsSync(agentsDir)) {
-        for (const f of fs.readdirSync(agentsDir)) {
-          if (!f.endsWith('.md')) continue;
-          try {
-            const content = fs.readFileSync(path.join(agentsDir, f), 'utf8');
-            const descMatch = content.match(/description:\s*(.+)/i);
-            agents.push({ name: f.replace('.md',''), desc: descMatch?.[1]?.trim() || '' });
-          } catch(e) {}
+    if (['list_files', 'read_file', 'write_file'].includes(msg.type)) {
+      const s = ownSession(key);
+      if (s) handleFiles(s, msg, send, user.username);
+      return;
+    }
+
+    if (msg.type?.startsWith('git_')) {
+      const s = ownSession(key);
+      if (s) handleGit(s, msg, send);
+      return;
+    }
+
+    if (msg.type === 'list_commands') {
+      const s = ownSession(key);
+      if (!s) return;
+      const list = commands.list(projectRoot(s)).map(({ body, ...c }) => c);
+      send({ type: 'commands_list', commands: list, sessionKey: key });
+      return;
+    }
+
+    // ── Agents (~/.claude/agents and the session project's .claude/agents) ──
+    if (['list_agents', 'save_agent', 'delete_agent'].includes(msg.type)) {
+      // Project agents come from the folder of the session the request names
+      const s = msg.sessionKey ? ownSession(key) : null;
+      const projectDir = s ? projectRoot(s) : null;
+      // ~/.claude/agents belongs to the account the server runs as, so only admins write there
+      const userScope = (scope) => scope !== 'project';
+      const touchesUser = msg.type === 'save_agent' ? userScope(msg.agent?.scope) || (msg.original && userScope(msg.original.scope))
+        : msg.type === 'delete_agent' && userScope(msg.scope);
+      if (touchesUser && !user.admin) {
+        send({ type: 'agent_error', op: msg.type, error: 'Only admins can change agents shared across every project' });
+        return;
+      }
+      try {
+        if (msg.type === 'save_agent') {
+          const saved = agents.save(projectDir, msg.agent || {}, msg.original);
+          console.log(`🤖 [${user.username}] saved ${saved.scope} agent ${saved.name}`);
+          send({ type: 'agent_saved', name: saved.name, scope: saved.scope });
+        } else if (msg.type === 'delete_agent') {
+          agents.remove(projectDir, msg.scope, msg.name);
+          console.log(`🤖 [${user.username}] deleted ${msg.scope} agent ${msg.name}`);
+          send({ type: 'agent_deleted', name: msg.name, scope: msg.scope });
         }
+        const list = agents.list(projectDir).map(({ extra, ...a }) => a);
+        send({ type: 'agents_list', agents: list, projectDir, sessionKey: msg.sessionKey || null });
+      } catch(e) {
+        send({ type: 'agent_error', op: msg.type, error: e.message });
+      }
+      return;
+    }
+
+    // ── Shell tabs (opt-in, admins only) ─────────────────────────────────
+    if (msg.type === 'shell_open') {
+      if (!user.admin) { send({ type: 'shell_error', ref: msg.ref, error: 'Only admins can open a shell' }); return; }
+      const s = ownSession(key);
+      if (!s) return;
+      try {
+        if (!projectRoot(s)) throw new Error(NO_PROJECT);
+        const sh = shell.open({ owner: user.username, sessionKey: key, cwd: projectRoot(s), cols: msg.cols, rows: msg.rows }, shellHandlers);
+        console.log(`⌨️  [${user.username}] shell ${sh.id} opened in ${sh.cwd}`);
+        send({ type: 'shell_opened', ref: msg.ref, shellId: sh.id, sessionKey: key, cwd: sh.cwd, idleMinutes: shell.IDLE_MS / 60000 });
+      } catch(e) {
+        send({ type: 'shell_error', ref: msg.ref, error: e.message });
       }
-      send({ type: 'agents_list', agents });
       return;
     }
 
-    if (msg.type === 'create_agent') {
-      const agentsDir = path.join(os.homedir(), '.claude', 'agents');
-      if (!fs.existsSync(agentsDir)) fs.mkdirSync(agentsDir, { recursive: true });
-      const safeName = msg.name.replace(/[^a-z0-9\-_]/gi, '-').toLowerCase();
-      const content = `---\nname: ${safeName}\ndescription: ${msg.prompt.slice(0,80)}\ntools: inherit\n---\n\n${msg.prompt}\n`;
-      fs.writeFileSync(path.join(agentsDir, `${safeName}.md`), content);
-      send({ type: 'agent_saved', name: safeName });
-      console.log(`🤖 Created agent: ${safeName}`);
+    if (['shell_attach', 'shell_input', 'shell_close'].includes(msg.type)) {
+      const sh = shell.get(msg.shellId, user.username);
+      if (!sh) { send({ type: 'shell_exit', shellId: msg.shellId, code: null, reason: 'gone' }); return; }
+      if (msg.type === 'shell_attach') send({ type: 'shell_output', shellId: sh.id, data: sh.backlog, replay: true });
+      else if (msg.type === 'shell_input') shell.write(sh, msg.data);
+      else shell.close(sh.id);
       return;
     }
 
     if (msg.type === 'run_cmd') {
       const { execFile } = require('child_process');
-      const allowed = { 'doctor': [CLAUDE_BIN, ['doctor']], 'version': [CLAUDE_BIN, ['--version']] };
-      const entry = allowed[msg.cmd];
-      if (!entry) { send({ type: 'sys_msg', text: '⚠ Unknown command', sessionKey: key }); return; }
-      execFile(entry[0], entry[1], { env: { ...process.env, PATH: '/usr/local/bin:/usr/bin:/bin' }, timeout: 15000 }, (err, stdout, stderr) => {
+      const allowed = { 'doctor': ['doctor'], 'version': ['--version'] };
+      const args = allowed[msg.cmd];
+      if (!args) { send({ type: 'sys_msg', text: '⚠ Unknown command', sessionKey: key }); return; }
+      if (!binaries.CLAUDE) { send({ type: 'sys_msg', text: '⚠ Claude Code was not found on the server — install it or set CLAUDE_BIN in .env', sessionKey: key }); return; }
+      execFile(binaries.CLAUDE, args, { env: binaries.env(), timeout: 15000 }, (err, stdout, stderr) => {
         const output = (stdout || '') + (stderr || '');
         send({ type: 'sys_msg', text: output.trim() || (err?.message || 'No output'), sessionKey: key });
       });
@@ -354,54 +1133,24 @@ wss.on('connection', (ws) => {
     // ── Get history for a terminal session ───────────────────────────────
     if (msg.type === 'get_terminal_history') {
       const { sessionId, projectPath } = msg;
+      // Terminal sessions belong to the Mac's own account
+      if (!user.admin) { send({ type: 'terminal_history', sessionId, messages: [], error: 'Only admins can open terminal sessions' }); return; }
       try {
-        // Encode project path the same way Claude Code does: replace / with -
-        const projectsDir = path.join(os.homedir(), '.claude', 'projects');
-        let sessionFile = null;
-
-        // Try direct encoding first: /home/user/myapp → -home-user-myapp-
-        if (projectPath) {
-          const encoded = projectPath.replace(/\//g, '-') + '-';
-          const candidate = path.join(projectsDir, encoded, `${sessionId}.jsonl`);
-          if (fs.existsSync(candidate)) sessionFile = candidate;
-        }
-
-        // Fallback: search all project dirs for this sessionId
-        if (!sessionFile && fs.existsSync(projectsDir)) {
-          for (const dir of fs.readdirSync(projectsDir)) {
-            const candidate = path.join(projectsDir, dir, `${sessionId}.jsonl`);
-            if (fs.existsSync(candidate)) { sessionFile = candidate; break; }
-          }
-        }
-
+        const sessionFile = claudeHistory.findSessionFile(sessionId, projectPath);
         if (!sessionFile) {
           send({ type: 'terminal_history', sessionId, messages: [], error: 'Session file not found' });
           return;
         }
-
-        const lines = fs.readFileSync(sessionFile, 'utf8').trim().split('\n').filter(Boolean);
-        const messages = [];
-        for (const line of lines) {
-          try {
-            const e = JSON.parse(line);
-            // Claude Code JSONL format: {type: 'user'|'assistant', message: {role, content}}
-            if (e.type === 'user' && e.message?.content) {
-              const content = Array.isArray(e.message.content)
-                ? e.message.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
-                : String(e.message.content);
-              if (content.trim()) messages.push({ role: 'user', text: content.trim() });
-            } else if (e.type === 'assistant' && e.message?.content) {
-              const content = Array.isArray(e.message.content)
-                ? e.message.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
-                : String(e.message.content);
-              if (content.trim()) messages.push({ role: 'claude', text: content.trim() });
-            }
-          } catch(err) { /* skip malformed lines */ }
+        const messages = claudeHistory.readMessages(sessionFile).filter(m => m.role !== 'tool');
+        // The last 20 messages, or 20 either side of a search hit (`around` is a message index)
+        let shown = messages.slice(-20);
+        if (Number.isInteger(msg.around)) {
+          const at = messages.findIndex(m => m.index >= msg.around);
+          const mid = at < 0 ? messages.length - 1 : at;
+          shown = messages.slice(Math.max(0, mid - 20), mid + 21);
         }
-        // Send last 20 messages to avoid overwhelming the UI
-        const recent = messages.slice(-20);
-        send({ type: 'terminal_history', sessionId, messages: recent });
-        console.log(`📖 [${sessionId}] Sent ${recent.length} history messages`);
+        send({ type: 'terminal_history', sessionId, messages: shown, total: messages.length, around: msg.around ?? null });
+        console.log(`📖 [${sessionId}] Sent ${shown.length} history messages`);
       } catch(e) {
         console.error('get_terminal_history error:', e.message);
         send({ type: 'terminal_history', sessionId, messages: [], error: e.message });
@@ -411,6 +1160,7 @@ wss.on('connection', (ws) => {
 
     // ── List terminal sessions from ~/.claude/history.jsonl ──────────────
     if (msg.type === 'list_terminal_sessions') {
+      if (!user.admin) { send({ type: 'terminal_sessions', sessions: [] }); return; }
       const histFile = path.join(os.homedir(), '.claude', 'history.jsonl');
       try {
         if (!fs.existsSync(histFile)) { send({ type: 'terminal_sessions', sessions: [] }); return; }
@@ -445,288 +1195,668 @@ wss.on('connection', (ws) => {
       return;
     }
 
+    if (msg.type === 'fork_session') {
+      const s = ownSession(key);
+      if (!s) return;
+      try {
+        const { child, prefill, how } = forkSession(s, Number(msg.atSeq));
+        sendToSession(child, { type: 'session_added', session: summarize(child) }, ws);
+        send({ type: 'session_forked', session: summarize(child), parentKey: key, prefill, how });
+      } catch(e) {
+        send({ type: 'fork_error', error: e.message, sessionKey: key });
+      }
+      return;
+    }
+
     if (msg.type === 'kill_session') {
-      const s = globalSessions.get(key);
-      if (s?.proc) s.proc.kill('SIGTERM');
+      const s = ownSession(key);
+      if (!s) return;
+      s.queue = [];
       globalSessions.delete(key);
-      saveSessions();
-      mySessionKeys.delete(key);
-      send({ type: 'session_killed', sessionKey: key });
+      // The run is left to die without reporting back
+      if (s.run) supervisor.detach(s.run);
+      s.run = null;
+      for (const id of [...s.pendingPermissions.keys()]) resolvePermission(s, id, 'deny', 'session deleted', 'The session was deleted');
+      sendToSession(s, { type: 'session_killed', sessionKey: key });
+      search.forget(transcript.fileFor(key));
+      transcript.remove(key);
+      shares.revokeSession(key);
+      store.remove(key);
       return;
     }
 
 
-    // ── Cancel ───────────────────────────────────────────────────────────
-    if (msg.type === 'cancel') {
-      const s = globalSessions.get(key);
-      if (s?.proc) { s.proc.kill('SIGTERM'); s.proc = null; }
-      send({ type: 'done', subtype: 'cancelled', sessionKey: key });
+    // ── Older transcript pages ───────────────────────────────────────────
+    if (msg.type === 'get_transcript') {
+      const s = ownSession(key);
+      if (!s) return;
+      const limit = Math.min(Number(msg.limit) || TRANSCRIPT_PAGE, 1000);
+      send({ type: 'transcript_page', ...transcript.page(key, { before: Number(msg.before) || Infinity, limit }), sessionKey: key });
+      return;
+    }
+
+    // ── Search ───────────────────────────────────────────────────────────
+    // Own mobile sessions, plus (for admins) every Claude Code session on the Mac
+    if (msg.type === 'search') {
+      const sources = [];
+      for (const s of globalSessions.values()) {
+        if (s.owner !== user.username) continue;
+        sources.push({ file: transcript.fileFor(s.sessionKey), kind: 'mobile', project: s.cwd, ref: { sessionKey: s.sessionKey, label: s.label } });
+      }
+      if (user.admin) {
+        // Sessions started from this app also have a Claude Code transcript; the mobile copy is searched instead
+        const openIds = new Set([...globalSessions.values()].map(s => s.claudeSessionId).filter(Boolean));
+        for (const { file, sessionId } of claudeHistory.listSessionFiles()) {
+          if (!openIds.has(sessionId)) sources.push({ file, kind: 'terminal', ref: { sessionId } });
+        }
+      }
+      const started = Date.now();
+      try {
+        const { results, total } = search.search(sources, {
+          query: msg.query, project: msg.project, role: msg.role,
+          from: Number(msg.from) || 0, to: Number(msg.to) || 0,
+        });
+        send({ type: 'search_results', query: msg.query, results, total, ms: Date.now() - started });
+      } catch(e) {
+        console.error('search error:', e.message);
+        send({ type: 'search_results', query: msg.query, results: [], total: 0, error: e.message });
+      }
+      return;
+    }
+
+    // ── Usage dashboard ──────────────────────────────────────────────────
+    // Admins see everyone's runs and spending; everyone sees the budget caps
+    if (msg.type === 'get_usage') {
+      send({ type: 'usage_report', report: usage.summary(user.admin ? null : user.username), admin: user.admin });
+      return;
+    }
+
+    // ── Share links ──────────────────────────────────────────────────────
+    if (msg.type === 'list_shares') {
+      if (ownSession(key)) send({ type: 'shares_list', shares: publicShares(key), sessionKey: key });
+      return;
+    }
+
+    if (msg.type === 'create_share') {
+      const s = ownSession(key);
+      if (!s) return;
+      const hours = Number(msg.hours) || 24;
+      if (hours <= 0 || hours * 3600 * 1000 > shares.MAX_TTL_MS) {
+        send({ type: 'share_error', error: `Links can last at most ${shares.MAX_TTL_MS / 86400000} days`, sessionKey: key });
+        return;
+      }
+      const share = shares.create(key, user.username, hours * 3600 * 1000);
+      console.log(`🔗 [${key}] share link created, expires in ${hours}h`);
+      send({ type: 'share_created', share: { id: share.id, createdAt: share.createdAt, expiresAt: share.expiresAt }, sessionKey: key });
+      sendToSession(s, { type: 'shares_list', shares: publicShares(key), sessionKey: key });
       return;
     }
 
-    // ── Attachment ────────────────────────────────────────────────────────
-    if (msg.type === 'attachment') {
-      if (!globalSessions.has(key)) globalSessions.set(key, newSession(key, 'Session'));
-      const s = globalSessions.get(key);
-      s.ws = ws; mySessionKeys.add(key);
+    if (msg.type === 'revoke_share') {
+      const s = ownSession(key);
+      if (!s || !shares.listFor(key).some(sh => sh.id === msg.id)) return;
+      shares.revoke(msg.id);
+      sendToSession(s, { type: 'shares_list', shares: publicShares(key), sessionKey: key });
+      return;
+    }
+
+    // ── Prompt queue ─────────────────────────────────────────────────────
+    if (msg.type === 'queue_remove' || msg.type === 'queue_clear') {
+      const s = ownSession(key);
+      if (!s) return;
+      s.queue = msg.type === 'queue_clear' ? [] : s.queue.filter(q => q.id !== msg.id);
+      saveSession(s);
+      broadcastQueue(s);
+      return;
+    }
+
+    // ── Scheduled prompts ────────────────────────────────────────────────
+    if (msg.type === 'list_schedules') {
+      const s = ownSession(key);
+      if (s) send({ type: 'schedules_list', schedules: s.schedules, sessionKey: key });
+      return;
+    }
+
+    if (msg.type === 'save_schedule') {
+      const s = ownSession(key);
+      if (!s) return;
+      const { id, cron: expr, text, enabled = true } = msg.schedule || {};
+      let nextRun;
       try {
-        const filePath = path.join(UPLOADS_DIR, `${Date.now()}_${msg.name}`);
-        fs.writeFileSync(filePath, Buffer.from(msg.data, 'base64'));
-        s.attachments.push({ path: filePath, name: msg.name });
-        send({ type: 'attachment_ok', name: msg.name, sessionKey: key });
-        console.log(`📎 [${key}] ${msg.name}`);
+        if (!String(text || '').trim()) throw new Error('Prompt text is required');
+        nextRun = cron.nextRun(expr);
+        if (!nextRun) throw new Error('That schedule never runs');
       } catch(e) {
-        send({ type: 'error', text: `Failed to save: ${e.message}`, sessionKey: key });
+        send({ type: 'schedule_error', error: e.message, sessionKey: key });
+        return;
+      }
+      const existing = id && s.schedules.find(j => j.id === id);
+      const job = existing || { id: crypto.randomBytes(6).toString('hex'), lastRun: null, createdAt: Date.now() };
+      Object.assign(job, { cron: String(expr).trim(), text: String(text).trim(), enabled: !!enabled, nextRun: enabled ? nextRun : null });
+      if (!existing) s.schedules.push(job);
+      saveSession(s);
+      console.log(`⏰ [${key}] ${existing ? 'updated' : 'added'} schedule "${job.cron}"`);
+      sendToSession(s, { type: 'schedules_list', schedules: s.schedules, sessionKey: key });
+      return;
+    }
+
+    if (msg.type === 'delete_schedule') {
+      const s = ownSession(key);
+      if (!s) return;
+      s.schedules = s.schedules.filter(j => j.id !== msg.id);
+      saveSession(s);
+      sendToSession(s, { type: 'schedules_list', schedules: s.schedules, sessionKey: key });
+      return;
+    }
+
+    // ── Cancel ───────────────────────────────────────────────────────────
+    if (msg.type === 'cancel') {
+      const s = ownSession(key);
+      if (s) cancelRun(s); else send({ type: 'done', subtype: 'cancelled', sessionKey: key });
+      return;
+    }
+
+    // ── Server settings (lib/config.js) ───────────────────────────────────
+    if (msg.type === 'get_config' || msg.type === 'set_config') {
+      if (!user.admin) { send({ type: 'config_error', error: 'Only admins can change server settings' }); return; }
+      if (msg.type === 'set_config') {
+        try {
+          config.update(msg.patch);
+          console.log(`⚙️  ${user.username} changed ${Object.entries(msg.patch || {}).flatMap(([s, v]) => Object.keys(v || {}).map(k => `${s}.${k}`)).join(', ')}`);
+        } catch(e) {
+          send({ type: 'config_error', error: e.message, errors: e.errors || [e.message] });
+          return;
+        }
       }
+      send({ type: 'config', sections: config.describe(), file: config.FILE, saved: msg.type === 'set_config' });
       return;
     }
 
     // ── Server control ────────────────────────────────────────────────────
     if (msg.type === 'server_ctrl') {
-      const { execSync } = require('child_process');
-      const plist = `${process.env.HOME}/Library/LaunchAgents/com.claudemobile.server.plist`;
-      if (msg.action === 'stop') {
-        setTimeout(() => { try { execSync(`launchctl unload ${plist}`); } catch(e){} }, 500);
-      } else if (msg.action === 'restart') {
-        setTimeout(() => {
-          try {
-            execSync(`launchctl unload ${plist}`);
-            setTimeout(() => { try { execSync(`launchctl load ${plist}`); } catch(e){} }, 1000);
-          } catch(e){}
-        }, 500);
+      if (!user.admin) { send({ type: 'sys_msg', text: '⚠ Only admins can control the server', sessionKey: key }); return; }
+      if (!['restart', 'stop'].includes(msg.action)) return;
+      if (msg.action === 'restart' && !service.MANAGER) {
+        send({ type: 'sys_msg', text: '⚠ The server isn\'t running under launchd or systemd, so nothing would start it again. Restart it on the machine, or see "Run as a Service" in the README.', sessionKey: key });
+        return;
       }
+      console.log(`🔧 ${user.username}: ${msg.action} server via ${service.describe() || 'exit'}`);
+      send({ type: 'sys_msg', text: msg.action === 'restart' ? '🔄 Restarting the server…' : '⏹ Stopping the server…', sessionKey: key });
+      // A moment for that to reach the phone before the connection drops
+      setTimeout(() => service.control(msg.action).catch(e => {
+        console.error(`Server ${msg.action} failed:`, e.message);
+        send({ type: 'sys_msg', text: `⚠ ${e.message}`, sessionKey: key });
+      }), 500);
       return;
     }
 
     if (msg.type === 'new_session') {
       if (!globalSessions.has(key)) {
-        const s = newSession(key, msg.label || 'Session');
-        s.planMode = msg.planMode || false;
+        const s = newSession(key, msg.label || 'Session', user.username);
+        s.planMode = msg.planMode ?? s.planMode;
         s.agentName = msg.agentName || null;
+        if (msg.cwd) {
+          s.cwd = resolveProjectDir(msg.cwd);
+          if (!s.cwd) send({ type: 'sys_msg', text: `⚠ ${msg.cwd} is not inside an allowed project root — using ${projectRoot(s) || 'no folder'}`, sessionKey: key });
+        }
+        if (s.agentName) {
+          // The agent's model and effort are where the session starts; /model can still change them
+          const agent = agents.find(projectRoot(s), s.agentName);
+          if (agent?.model) s.model = agent.model;
+          if (agent?.effort) s.effort = agent.effort;
+        }
         // If resuming a terminal session, pre-set the claudeSessionId so
         // the first message automatically uses --resume <id>
         if (msg.resumeSessionId) s.claudeSessionId = msg.resumeSessionId;
         globalSessions.set(key, s);
       }
-      const s = globalSessions.get(key);
-      s.ws = ws;
-      mySessionKeys.add(key);
-      saveSessions();
+      const s = ownSession(key);
+      if (!s) { send({ type: 'error', text: 'That session belongs to another user', sessionKey: key }); return; }
+      saveSession(s);
+      // Other devices of the same user pick up the new tab
+      sendToSession(s, { type: 'session_added', session: summarize(s) }, ws);
+      send({ type: 'session_permissions', permissions: s.permissions, sessionKey: key });
       return;
     }
 
     if (msg.type !== 'message' || !msg.text?.trim()) return;
 
     // ── Ensure session exists ─────────────────────────────────────────────
-    if (!globalSessions.has(key)) globalSessions.set(key, newSession(key, msg.label || 'Session'));
-    const session = globalSessions.get(key);
-    session.ws = ws;
-    mySessionKeys.add(key);
+    if (!globalSessions.has(key)) {
+      globalSessions.set(key, newSession(key, msg.label || 'Session', user.username));
+      saveSession(globalSessions.get(key));
+    }
+    const session = ownSession(key);
+    if (!session) { send({ type: 'error', text: 'That session belongs to another user', sessionKey: key }); return; }
+
+    // Attachments arrive through /upload first and are referred to by their stored
+    // name; older clients still send { name, data } with the whole file base64-encoded
+    const saved = (msg.attachments || []).map(att => {
+      if (att.file) {
+        const filePath = uploads.resolve(att.file, user.admin ? null : user.username);
+        if (!filePath) return Promise.reject(new Error('the upload has gone — attach it again'));
+        return Promise.resolve({ path: filePath, name: att.name || att.file });
+      }
+      const base64 = String(att.data || '');
+      return uploads.saveBuffer(user.username, att.name, Buffer.from(base64.includes(',') ? base64.split(',')[1] : base64, 'base64'))
+        .then(f => ({ path: path.join(UPLOADS_DIR, f.file), name: f.name }));
+    });
+    // Chained so a message whose files take longer to save can't overtake the one before
+    session.intake = (session.intake || Promise.resolve()).then(() => Promise.allSettled(saved)).then(results => {
+      results.forEach((r, i) => {
+        if (r.status === 'fulfilled') session.attachments.push(r.value);
+        else send({ type: 'sys_msg', text: `⚠ ${msg.attachments[i].name || 'Attachment'} was left out: ${r.reason.message}`, sessionKey: key });
+      });
+      // Runs now if the session is idle, otherwise waits for the current run to finish
+      enqueuePrompt(session, { text: msg.text, attachments: session.attachments.splice(0) }, ws);
+    }).catch(e => console.error(`❌ [${key}] could not start the prompt:`, e.message));
+  });
+
+  ws.on('close', () => {
+    // Don't kill sessions — they keep running and stream to the user's other devices
+    if (user) userSockets.get(user.username)?.delete(ws);
+    console.log(`📱 ${user ? user.username : 'Unauthenticated client'} disconnected (sessions preserved)`);
+  });
+});
+
+// ── Forking ──────────────────────────────────────────────────────────────────
+// A fork is a new session holding a copy of its parent's transcript up to the chosen
+// message. Forking from a Claude reply keeps that whole turn; forking from one of your
+// messages stops just before it, so it can be sent again differently. When the fork
+// point is the end of the conversation, Claude resumes the parent's conversation with
+// --fork-session; otherwise the first prompt carries a replay of the kept messages.
+function forkSession(parent, atSeq) {
+  const events = transcript.all(parent.sessionKey);
+  const at = events.findIndex(e => e.seq >= atSeq);
+  if (at < 0) throw new Error('That message is no longer in the transcript');
+  let end, prefill = null;
+  if (events[at].type === 'user_msg') { end = at; prefill = events[at].text; }
+  else {
+    end = events.findIndex((e, i) => i > at && e.type === 'user_msg');
+    if (end < 0) end = events.length;
+  }
+  const atEnd = end === events.length;
+  if (atEnd && parent.run) throw new Error('Wait for Claude to finish this reply before forking from it');
+  const kept = events.slice(0, end);
+
+  const child = newSession(`s_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`, `⑂ ${parent.label.replace(/^⑂ /, '')}`, parent.owner);
+  Object.assign(child, {
+    cwd: parent.cwd, model: parent.model, effort: parent.effort, planMode: parent.planMode, agentName: parent.agentName,
+    permissions: clonePermissions(parent.permissions || defaultPermissions()),
+    parentKey: parent.sessionKey,
+    forkedAtSeq: kept.length ? kept[kept.length - 1].seq : null,
+  });
+  const how = atEnd && parent.claudeSessionId ? 'resume' : 'replay';
+  if (how === 'resume') {
+    child.claudeSessionId = parent.claudeSessionId;
+    child.pendingFork = { resume: true };
+  } else if (kept.some(e => e.type === 'user_msg')) {
+    child.pendingFork = { replay: exporter.toReplay(kept) };
+  }
+  transcript.copy(child.sessionKey, kept);
+  globalSessions.set(child.sessionKey, child);
+  recordSystem(child, `⑂ Forked from "${parent.label}"`);
+  saveSession(child);
+  console.log(`⑂ [${parent.sessionKey}] forked at seq ${child.forkedAtSeq} → ${child.sessionKey} (${how})`);
+  return { child, prefill, how };
+}
+
+// ── Running prompts ──────────────────────────────────────────────────────────
+// Fills {name} placeholders in the configured system prompt; unknown ones are left as typed
+function renderPrompt(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, name) => name in vars ? vars[name] : m);
+}
+
+// Why a run can't start right now, or null
+function runBlocker(session, root) {
+  if (session.cwd && !fs.existsSync(session.cwd)) return `Project directory no longer exists: ${session.cwd}`;
+  if (!root) return NO_PROJECT;
+  try { binaries.claudeCommand([]); } catch(e) { return e.message; }
+  const overBudget = usage.budgetBlock();
+  return overBudget ? `💸 ${overBudget}` : null;
+}
 
-    if (session.proc) { session.proc.kill('SIGTERM'); session.proc = null; }
-    session.lineBuffer = '';
+// Spawns claude for one prompt. Returns false if it could not start; the prompt is in the
+// transcript either way, followed by the reason.
+// `except` is the socket that already rendered the user's message.
+function runPrompt(session, item, except) {
+  const key = session.sessionKey;
+  const root = projectRoot(session);
+  session.lineBuffer = '';
 
-    // Add to history
-    session.history.push({ role: 'user', text: msg.text });
-    saveSessions();
+  if (item.scheduleId) {
+    const job = session.schedules.find(j => j.id === item.scheduleId);
+    pushLive(session, { type: 'sys_msg', text: `⏰ Scheduled prompt${job ? ` (${job.cron})` : ''}`, sessionKey: key });
+  }
+  // A custom slash command runs its file's prompt, with the arguments filled in
+  const custom = commands.expand(root, item.text);
+  if (custom) console.log(`⚡ [${key}] /${custom.command.name} (${custom.command.scope} command)`);
+  // The session's agent is read again for every run, so edits apply from the next prompt
+  const agent = session.agentName ? agents.find(root, session.agentName) : null;
+  if (session.agentName && !agent) {
+    console.warn(`⚠ [${key}] Agent "${session.agentName}" not found`);
+    pushLive(session, { type: 'sys_msg', text: `⚠ Agent "${session.agentName}" no longer exists — running without it`, sessionKey: key });
+  }
+  // Checked by requestPermission() too, for tools the CLI doesn't know about (e.g. MCP)
+  session.agentTools = agent?.tools || null;
+  const modelFlag = custom?.command.model || session.model || config.get().session.model;
+  // What this run is billed as; a command's frontmatter can pick a model for just this prompt
+  session.runModel = modelFlag;
+
+  // Model and effort ride along so exports show what each prompt ran with
+  pushLive(session, { type: 'user_msg', text: item.text, model: modelFlag, effort: session.effort, sessionKey: key }, except);
+
+  const blocked = runBlocker(session, root);
+  if (blocked) {
+    pushLive(session, { type: 'error', text: blocked, sessionKey: key });
+    console.log(`⛔ [${key}] run blocked: ${blocked}`);
+    return false;
+  }
 
-    let promptText = msg.text;
+  let promptText = custom ? custom.prompt : item.text;
+  if (item.attachments?.length > 0) {
+    promptText += '\n\nAttached files:\n' + item.attachments.map(a => a.path).join('\n');
+  }
+  if (session.pendingFork?.replay) {
+    promptText = `This conversation is a branch of an earlier one, which you can't see. Here it is up to the point it was branched from:\n\n${session.pendingFork.replay}\n\n---\n\nCarry on from there. My next message:\n\n${promptText}`;
+    session.pendingFork = null;
+    saveSession(session);
+  }
+  if (session.userEdits.length) {
+    promptText += `\n\nSince your last turn the user edited these files by hand: ${session.userEdits.join(', ')}. Re-read them before relying on what you saw earlier.`;
+    session.userEdits = [];
+    saveSession(session);
+  }
 
-    // Handle attachments sent inline with the message
-    if (msg.attachments?.length > 0) {
-      for (const att of msg.attachments) {
+  let systemPrompt = renderPrompt(config.get().prompt.system, { uploads: UPLOADS_DIR, project: root, user: session.owner || '' });
+  if (agent?.prompt) systemPrompt += `\n\n${agent.prompt}`;
+  const effortFlag = session.effort || config.get().session.effort;
+  const isOpus = modelFlag.includes('opus');
+  const isPlanMode = session.planMode || false;
+
+  const claudeArgs = [
+    '-p', promptText,
+    '--output-format', 'stream-json',
+    '--verbose',
+    '--append-system-prompt', systemPrompt,
+    '--model', modelFlag,
+  ];
+
+  // Every tool call goes through the phone via the permission-prompt MCP tool
+  const mcpConfig = JSON.stringify({ mcpServers: { mobile: {
+    command: process.execPath,
+    args: [PERMISSION_MCP],
+    env: {
+      CCM_PERMISSION_URL: `http://127.0.0.1:${PORT}/internal/permission`,
+      CCM_PERMISSION_TOKEN: PERMISSION_TOKEN,
+      CCM_SESSION_KEY: key,
+    },
+  } } });
+  claudeArgs.push('--mcp-config', mcpConfig, '--permission-prompt-tool', 'mcp__mobile__approve');
+  if (isPlanMode) claudeArgs.push('--permission-mode', 'plan');
+  // allowed-tools in a command's frontmatter run without asking, unless this session denies them
+  const preAllowed = (custom?.command.allowedTools || [])
+    .filter(t => session.permissions?.rules?.[t.replace(/\(.*$/, '')] !== 'deny' && agents.allows(session.agentTools, t.replace(/\(.*$/, '')));
+  if (preAllowed.length) claudeArgs.push('--allowedTools', preAllowed.join(','));
+  // An agent's tool list switches every other built-in tool off
+  const agentOff = agents.disallowed(session.agentTools);
+  if (agentOff.length) claudeArgs.push('--disallowedTools', agentOff.join(','));
+
+  if (isOpus) claudeArgs.push('--effort', effortFlag);
+  if (agent) console.log(`🤖 [${key}] Agent: ${agent.name} (${agent.scope}${agent.tools ? `, tools: ${agent.tools.join(' ')}` : ''})`);
+  if (session.claudeSessionId) claudeArgs.push('--resume', session.claudeSessionId);
+  // A fork's first run continues the parent's conversation under a new Claude session id
+  if (session.pendingFork?.resume) claudeArgs.push('--fork-session');
+
+  console.log(`→ [${key}] model=${modelFlag} effort=${isOpus?effortFlag:'n/a'} cwd=${root} text="${item.text.slice(0, 60)}"`);
+  console.log(`  args: ${claudeArgs.map(a => a === mcpConfig ? '<mcp-config>' : a).join(' ')}`);
+
+  let claudeResponseText = '';
+  // With unbuffer claude gets a terminal and may add escape codes and \r; without it,
+  // stream-json comes straight from a pipe
+  const onStdout = (run, chunk) => {
+    // A cancelled run still dying mustn't write into the next run's buffer and transcript
+    if (session.run !== run) return;
+    const clean = chunk.toString()
+      .replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '')
+      .replace(/\x1b\][^\x07]*\x07/g, '')
+      .replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+    session.lineBuffer += clean;
+    const lines = session.lineBuffer.split('\n');
+    session.lineBuffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      // sendLive: record in the transcript and send to the owner's devices
+      const sendLive = (obj) => pushLive(session, obj);
+
+      if (trimmed.startsWith('{')) {
         try {
-          const safeBase64 = att.data.includes(',') ? att.data.split(',')[1] : att.data;
-          const filePath = path.join(UPLOADS_DIR, `${Date.now()}_${path.basename(att.name)}`);
-          fs.writeFileSync(filePath, Buffer.from(safeBase64, 'base64'));
-          session.attachments.push({ path: filePath, name: att.name });
-          console.log(`📎 [${key}] saved inline attachment: ${att.name}`);
+          const event = JSON.parse(trimmed);
+          handleEvent(event, session, claudeResponseText, (text) => { claudeResponseText = text; }, sendLive);
+          continue;
         } catch(e) {
-          console.error(`📎 [${key}] failed to save attachment ${att.name}:`, e.message);
+          console.error(`[${key}] handleEvent error:`, e.message);
         }
       }
+      // Log unrecognised non-JSON output and forward to client
+      console.log(`[${key}] non-json: ${trimmed.slice(0, 120)}`);
+      pushLive(session, { type: 'sys_msg', text: trimmed, sessionKey: key });
     }
-
-    if (session.attachments?.length > 0) {
-      promptText += '\n\nAttached files:\n' + session.attachments.map(a => a.path).join('\n');
-      session.attachments = [];
+  };
+
+  const onStderr = (run, chunk) => {
+    if (session.run !== run) return;
+    const text = chunk.toString().trim();
+    if (text) {
+      console.error(`[${key}] stderr:`, text);
+      if (!/^unbuffer|^expect/i.test(text)) {
+        pushLive(session, { type: 'token', text: `\n⚠ ${text}`, sessionKey: key });
+      }
+    }
+  };
+
+  const onExit = (run, { code, reason }) => {
+    console.log(`← [${key}] Claude exited code=${code}${reason ? ` (${reason})` : ''} hadResponse=${!!claudeResponseText}`);
+    // Files it was told to save in the uploads folder are the session owner's
+    if (run.startedAt) uploads.claim(session.owner, run.startedAt);
+    // A cancelled run may close after the next one has already started
+    if (session.run === run) session.run = null;
+    if (!session.run) for (const id of [...session.pendingPermissions.keys()]) resolvePermission(session, id, 'deny', 'run ended', 'The run ended before the user answered');
+    // cancelRun() already told the phone
+    if (reason !== 'cancelled') {
+      const stopped = stopMessage(reason);
+      // Recorded in the transcript, so a phone that was away sees it on reconnect
+      pushLive(session, { type: 'done', error: code !== 0, code, ...(stopped && { reason: stopped }), sessionKey: key });
+      const more = session.queue.length ? ` (${session.queue.length} more queued)` : '';
+      notify(session, code !== 0 ? `⚠ ${stopped || `Claude exited with an error (code ${code})`}${more}` : `✅ ${firstLine(claudeResponseText) || 'Finished'}${more}`);
     }
+    runNext(session);
+  };
+
+  const [bin, args] = binaries.claudeCommand(claudeArgs);
+  session.run = supervisor.start({
+    key,
+    bin,
+    args,
+    cwd: root,
+    env: binaries.env(),
+    // claude -p reads a piped stdin to its end before starting
+    stdin: bin === binaries.CLAUDE ? 'ignore' : 'pipe',
+    // Waiting for the phone to answer a permission prompt isn't being stuck
+    busy: () => session.pendingPermissions.size > 0,
+  }, {
+    state: (run, info) => {
+      if (session.run === run) sendToSession(session, { type: 'run_state', ...info, sessionKey: key });
+    },
+    stdout: onStdout,
+    stderr: onStderr,
+    exit: onExit,
+    error: (run, e) => {
+      pushLive(session, { type: 'error', text: e.message, sessionKey: key });
+      notify(session, `⚠ ${e.message}`);
+    },
+  });
+  return true;
+}
 
-    const systemPrompt = `When creating or saving any files, always save to ${UPLOADS_DIR}. Never ask where to save — always use that directory. Tell the user the filename when done.`;
-    const effortFlag = session.effort || 'high';
-    const modelFlag = session.model || 'claude-sonnet-4-6';
-    const isOpus = modelFlag.includes('opus');
-    const isPlanMode = session.planMode || false;
+// Why the supervisor stopped a run, for the phone
+function stopMessage(reason) {
+  const limits = supervisor.limits();
+  if (reason === 'timeout') return `Stopped after ${limits.timeoutMs / 60000} minutes — runs can't take longer (Server Settings → Limits)`;
+  if (reason === 'idle') return `Stopped after ${limits.idleMs / 60000} minutes without any output (Server Settings → Limits)`;
+  if (reason === 'memory') return `Stopped for using more than ${limits.maxMemoryMb} MB of memory (Server Settings → Limits)`;
+  return null;
+}
 
-    const claudeArgs = [
-      '-p', promptText,
-      '--output-format', 'stream-json',
-      '--verbose',
-      '--append-system-prompt', systemPrompt,
-      '--model', modelFlag,
-    ];
+// Stops the session's run, or takes it out of the queue, and tells the phone at once
+// rather than when the process is finally gone
+function cancelRun(session) {
+  if (session.run) supervisor.cancel(session.run);
+  session.run = null;
+  pushLive(session, { type: 'done', subtype: 'cancelled', sessionKey: session.sessionKey });
+}
 
-    // Plan mode: use plan permission mode, don't skip permissions
-    if (isPlanMode) {
-      claudeArgs.push('--permission-mode', 'plan');
-    } else {
-      claudeArgs.push('--dangerously-skip-permissions');
-    }
+// ── Runs that outlived a restart ─────────────────────────────────────────────
+// Their output went to the old server, so nothing streams; the session shows as busy
+// until the process ends, and Claude's reply is then read from its own session file.
+function adoptOrphans() {
+  for (const orphan of supervisor.recover()) {
+    const session = globalSessions.get(orphan.key);
+    const run = supervisor.adopt(orphan, {
+      exit: (run) => {
+        console.log(`← [${orphan.key}] run from before the restart ended (pid ${orphan.pid})`);
+        if (!session) return;
+        uploads.claim(session.owner, orphan.startedAt);
+        if (session.run === run) session.run = null;
+        if (run.stopping === 'cancelled') { runNext(session); return; }
+        const reply = replySince(session, orphan.startedAt);
+        if (reply) pushLive(session, { type: 'token', text: reply, sessionKey: session.sessionKey });
+        else pushLive(session, { type: 'sys_msg', text: 'The run from before the restart has ended. Its reply couldn\'t be found — ask Claude where it got to.', sessionKey: session.sessionKey });
+        pushLive(session, { type: 'done', sessionKey: session.sessionKey });
+        notify(session, `✅ ${firstLine(reply) || 'Finished'}`);
+        runNext(session);
+      },
+    });
+    if (!session) { supervisor.cancel(run); continue; }
+    session.run = run;
+    console.log(`♻️  [${orphan.key}] Claude is still running from before the restart (pid ${orphan.pid})`);
+    pushLive(session, { type: 'sys_msg', text: '♻️ The server restarted while Claude was working. The run is still going — its reply will appear here when it ends.', sessionKey: session.sessionKey });
+  }
+}
 
-    if (isOpus) claudeArgs.push('--effort', effortFlag);
-    // Agent: read the agent's .md file and inject its system prompt
-    if (session.agentName) {
-      const agentsDir = require('path').join(require('os').homedir(), '.claude', 'agents');
-      const agentFile = require('path').join(agentsDir, `${session.agentName}.md`);
-      try {
-        let agentContent = fs.readFileSync(agentFile, 'utf8');
-        // Strip frontmatter (--- ... ---) if present
-        agentContent = agentContent.replace(/^---[\s\S]*?---\s*/m, '').trim();
-        if (agentContent) claudeArgs.push('--append-system-prompt', agentContent);
-        console.log(`🤖 [${key}] Loaded agent: ${session.agentName}`);
-      } catch(e) {
-        console.warn(`⚠ [${key}] Could not load agent "${session.agentName}": ${e.message}`);
-      }
-    }
-    if (session.claudeSessionId) claudeArgs.push('--resume', session.claudeSessionId);
+// Claude's last reply after `since`, from Claude Code's own record of the session
+function replySince(session, since) {
+  const file = claudeHistory.findSessionFile(session.claudeSessionId, session.cwd);
+  if (!file) return null;
+  try {
+    const replies = claudeHistory.readMessages(file).filter(m => m.role === 'claude' && m.ts >= since);
+    return replies.length ? replies[replies.length - 1].text : null;
+  } catch(e) {
+    return null;
+  }
+}
 
-    console.log(`→ [${key}] model=${modelFlag} effort=${isOpus?effortFlag:'n/a'} text="${msg.text.slice(0, 60)}"`);
-    console.log(`  args: ${claudeArgs.join(' ')}`);
+// ── Prompt queue ─────────────────────────────────────────────────────────────
+// Prompts sent while claude is busy wait in session.queue (persisted) and run in order
+function publicQueue(session) {
+  return (session.queue || []).map(q => ({ id: q.id, text: q.text, attachments: q.attachments.map(a => a.name), scheduleId: q.scheduleId, queuedAt: q.queuedAt }));
+}
 
-    const proc = spawn(UNBUFFER_BIN, [CLAUDE_BIN, ...claudeArgs], {
-      env: { ...process.env, PATH: '/usr/local/bin:/usr/bin:/bin' },
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+function broadcastQueue(session) {
+  sendToSession(session, { type: 'queue_updated', queue: publicQueue(session), sessionKey: session.sessionKey });
+}
 
-    session.proc = proc;
-    let claudeResponseText = '';
-    let planWaitingSent = false;
-
-    // In plan mode, detect when Claude pauses waiting for approval (2s idle after output)
-    let planIdleTimer = null;
-    if (session.planMode) {
-      const resetPlanIdle = () => {
-        clearTimeout(planIdleTimer);
-        planIdleTimer = setTimeout(() => {
-          if (session.proc && !planWaitingSent && claudeResponseText) {
-            planWaitingSent = true;
-            const evt = { type: 'plan_waiting', sessionKey: key };
-            if (session.liveBuffer) session.liveBuffer.push(evt);
-            if (session.ws?.readyState === 1) session.ws.send(JSON.stringify(evt));
-          }
-        }, 2000);
-      };
-      session._resetPlanIdle = resetPlanIdle;
-    }
-
-    proc.stdout.on('data', (chunk) => {
-      if (session._resetPlanIdle) session._resetPlanIdle();
-      const clean = chunk.toString()
-        .replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '')
-        .replace(/\x1b\][^\x07]*\x07/g, '')
-        .replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-
-      session.lineBuffer += clean;
-      const lines = session.lineBuffer.split('\n');
-      session.lineBuffer = lines.pop();
-
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-
-        // sendLive: send to client and buffer for reconnect replay
-        const sendLive = (obj) => {
-          if (session.liveBuffer) {
-            session.liveBuffer.push(obj);
-            if (session.liveBuffer.length > 500) session.liveBuffer.shift();
-          }
-          if (session.ws?.readyState === 1) session.ws.send(JSON.stringify(obj));
-        };
-
-        if (trimmed.startsWith('{')) {
-          try {
-            const event = JSON.parse(trimmed);
-            handleEvent(event, session, claudeResponseText, (text) => { claudeResponseText = text; }, sendLive);
-            continue;
-          } catch(e) {
-            console.error(`[${key}] handleEvent error:`, e.message);
-          }
-        }
-        // Log unrecognised non-JSON output and forward to client
-        console.log(`[${key}] non-json: ${trimmed.slice(0, 120)}`);
-        // Detect plan mode waiting for approval
-        if (session.planMode && /do you want to proceed|approve|yes\/no|y\/n|\(y\)|\[y\]/i.test(trimmed)) {
-          sendLive({ type: 'plan_waiting', sessionKey: key });
-        } else {
-          if (session.ws?.readyState === 1) session.ws.send(JSON.stringify({ type: 'sys_msg', text: trimmed, sessionKey: key }));
-        }
-      }
-    });
+function enqueuePrompt(session, item, except) {
+  const entry = { id: crypto.randomBytes(6).toString('hex'), text: item.text, attachments: item.attachments || [], scheduleId: item.scheduleId || null, queuedAt: Date.now() };
+  if (!session.run && !session.queue.length) { runPrompt(session, entry, except); return; }
+  session.queue.push(entry);
+  saveSession(session);
+  broadcastQueue(session);
+  console.log(`⏳ [${session.sessionKey}] queued prompt (${session.queue.length} waiting)`);
+  // Nothing is running when the queue was held up by a prompt that couldn't start
+  if (!session.run) runNext(session);
+}
 
-    proc.stderr.on('data', chunk => {
-      const text = chunk.toString().trim();
-      if (text) {
-        console.error(`[${key}] stderr:`, text);
-        if (!/^unbuffer|^expect/i.test(text)) {
-          session.ws?.readyState === 1 && session.ws.send(JSON.stringify({
-            type: 'token', text: `\n⚠ ${text}`, sessionKey: key
-          }));
-        }
-      }
-    });
-    proc.on('close', (code) => {
-      console.log(`← [${key}] Claude exited code=${code} hadResponse=${!!claudeResponseText}`);
-      session.proc = null;
-      if (claudeResponseText) session.history.push({ role: 'claude', text: claudeResponseText });
-      saveSessions();
-      const doneMsg = { type: 'done', error: code !== 0, code, sessionKey: key };
-      // Push done into liveBuffer so reconnecting phone gets it on replay
-      if (session.liveBuffer) session.liveBuffer.push(doneMsg);
-      if (session.ws?.readyState === 1) {
-        session.ws.send(JSON.stringify(doneMsg));
-      } else {
-        session.pendingDone = JSON.stringify(doneMsg);
-        console.log(`[${key}] WS unavailable at close — queued done for reconnect`);
+// Starts queued prompts until one is running; called whenever a run ends. A prompt that
+// can't start (over budget, say) stops there, and the rest wait for the next try rather
+// than failing one after another.
+function runNext(session) {
+  if (globalSessions.get(session.sessionKey) !== session) return;
+  while (!session.run && session.queue.length) {
+    const item = session.queue.shift();
+    saveSession(session);
+    broadcastQueue(session);
+    if (!runPrompt(session, item)) return;
+  }
+}
+
+// ── Scheduled prompts ────────────────────────────────────────────────────────
+// session.schedules: [{ id, cron, text, enabled, nextRun, lastRun, createdAt }]
+// Runs missed while the server was down fire once at the first tick after startup.
+const SCHEDULE_TICK_MS = 30 * 1000;
+
+function checkSchedules() {
+  // Jobs that come due while schedules are off fire once when they're turned back on
+  if (!config.get().features.schedules) return;
+  const now = Date.now();
+  for (const session of globalSessions.values()) {
+    let fired = false;
+    for (const job of session.schedules) {
+      if (!job.enabled || !job.nextRun || job.nextRun > now) continue;
+      job.lastRun = now;
+      try { job.nextRun = cron.nextRun(job.cron, now); } catch(e) { job.nextRun = null; }
+      fired = true;
+      // Don't pile up copies of a job that hasn't had its turn yet
+      if (session.queue.some(q => q.scheduleId === job.id)) {
+        console.log(`⏰ [${session.sessionKey}] skipped "${job.cron}" — previous run still queued`);
+        continue;
       }
-    });
-    proc.on('error', e => {
-      session.ws?.readyState === 1 && session.ws.send(JSON.stringify({ type: 'error', text: e.message, sessionKey: key }));
-    });
-  });
+      console.log(`⏰ [${session.sessionKey}] ${job.cron} → "${job.text.slice(0, 60)}"`);
+      enqueuePrompt(session, { text: job.text, scheduleId: job.id });
+    }
+    if (fired) {
+      saveSession(session);
+      sendToSession(session, { type: 'schedules_list', schedules: session.schedules, sessionKey: session.sessionKey });
+    }
+  }
+}
 
-  ws.on('close', () => {
-    // Don't kill sessions — they keep running, ws ref goes stale
-    console.log('📱 Phone disconnected (sessions preserved)');
-  });
-});
+setInterval(checkSchedules, SCHEDULE_TICK_MS);
 
-function newSession(key, label) {
-  return { sessionKey: key, label, claudeSessionId: null, proc: null, lineBuffer: '', attachments: [], history: [], ws: null, effort: 'high', model: 'claude-sonnet-4-6', planMode: false, agentName: null, liveBuffer: [], createdAt: Date.now() };
+function newSession(key, label, owner) {
+  const { model, effort, planMode } = config.get().session;
+  return { sessionKey: key, label, owner, claudeSessionId: null, run: null, lineBuffer: '', attachments: [], effort, model, planMode, agentName: null, cwd: null, permissions: defaultPermissions(), queue: [], schedules: [], usage: {}, contextTokens: 0, userEdits: [], parentKey: null, forkedAtSeq: null, pendingFork: null, pendingPermissions: new Map(), createdAt: Date.now() };
 }
 
 function handleEvent(event, session, claudeResponseText, setResponse, sendFn) {
   const key = session.sessionKey;
-  const sendWs = sendFn || ((obj) => session.ws?.readyState === 1 && session.ws.send(JSON.stringify(obj)));
+  const sendWs = sendFn || ((obj) => sendToSession(session, obj));
 
   switch (event.type) {
     case 'system':
       if (event.subtype === 'init' && event.session_id) {
         session.claudeSessionId = event.session_id;
-        saveSessions();
+        if (session.pendingFork?.resume) session.pendingFork = null;
+        saveSession(session);
         sendWs({ type: 'session_init', sessionKey: key, sessionId: event.session_id });
       }
       break;
     case 'assistant':
+      // Each API call reports the whole prompt it sent, which is how full the context is
+      if (event.message?.usage) {
+        const t = usage.tokensOf(event.message.usage);
+        session.contextTokens = t.inputTokens + t.cacheReadTokens + t.cacheWriteTokens;
+      }
       for (const block of event.message?.content ?? []) {
         if (block.type === 'text') {
           setResponse(claudeResponseText + block.text);
-          const tokEvent = { type: 'token', text: block.text, sessionKey: key };
-          sendWs(tokEvent);
-          if (session.liveBuffer) { session.liveBuffer.push(tokEvent); if (session.liveBuffer.length > 300) session.liveBuffer.shift(); }
+          sendWs({ type: 'token', text: block.text, sessionKey: key });
         } else if (block.type === 'tool_use') {
-          const toolEvent = { type: 'tool_use', name: block.name, input: block.input, id: block.id, sessionKey: key };
-          sendWs(toolEvent);
-          if (session.liveBuffer) { session.liveBuffer.push(toolEvent); if (session.liveBuffer.length > 300) session.liveBuffer.shift(); }
+          sendWs({ type: 'tool_use', name: block.name, input: block.input, id: block.id, sessionKey: key });
         }
       }
       break;
@@ -737,56 +1867,82 @@ function handleEvent(event, session, claudeResponseText, setResponse, sendFn) {
           const rawContent = Array.isArray(block.content)
             ? block.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
             : String(block.content || '');
-          const resultEvent = {
+          sendWs({
             type: 'tool_result',
             tool_use_id: block.tool_use_id,
-            content: rawContent.slice(0, 800),
+            content: rawContent.slice(0, 20000),
             sessionKey: key,
-          };
-          sendWs(resultEvent);
-          if (session.liveBuffer) { session.liveBuffer.push(resultEvent); if (session.liveBuffer.length > 300) session.liveBuffer.shift(); }
+          });
         }
       }
       break;
     case 'result':
-      if (event.usage) {
-        sendWs({ type: 'usage', inputTokens: event.usage.input_tokens || 0, outputTokens: event.usage.output_tokens || 0, contextLimit: 200000, sessionKey: key });
+      if (event.usage || event.total_cost_usd) {
+        // Totals for the whole run, across every API call it made
+        const run = { ...usage.tokensOf(event.usage), costUsd: event.total_cost_usd || 0 };
+        session.usage = usage.addTo(session.usage || {}, run);
+        if (!session.contextTokens) session.contextTokens = run.inputTokens + run.cacheReadTokens + run.cacheWriteTokens;
+        usage.record({ sessionKey: key, owner: session.owner, label: session.label, model: usage.resolveModel(session.runModel || session.model), agentName: session.agentName, ...run });
+        saveSession(session);
+        sendWs({
+          type: 'usage', ...run,
+          contextTokens: session.contextTokens,
+          contextLimit: usage.contextLimit(session.runModel || session.model),
+          sessionUsage: session.usage,
+          sessionKey: key,
+        });
       }
       sendWs({ type: 'done', subtype: event.subtype, sessionKey: key });
       break;
   }
 }
 
-function transcribeAudio(base64Audio, mimeType) {
-  return new Promise((resolve, reject) => {
-    if (!OPENAI_KEY) return reject(new Error('No OpenAI key configured'));
-    const audioBuffer = Buffer.from(base64Audio, 'base64');
-    const boundary = '----FormBoundary' + Math.random().toString(36).slice(2);
-    const ext = mimeType.includes('mp4') ? 'm4a' : 'webm';
-    const body = Buffer.concat([
-      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="model"\r\n\r\nwhisper-1\r\n`),
-      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="audio.${ext}"\r\nContent-Type: ${mimeType}\r\n\r\n`),
-      audioBuffer,
-      Buffer.from(`\r\n--${boundary}--\r\n`)
-    ]);
-    const req = https.request({
-      hostname: 'api.openai.com', path: '/v1/audio/transcriptions', method: 'POST',
-      headers: { 'Authorization': `Bearer ${OPENAI_KEY}`, 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length }
-    }, (res) => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => {
-        try { const p=JSON.parse(data); if(p.text) resolve(p.text); else reject(new Error(p.error?.message||'failed')); }
-        catch(e) { reject(new Error('Parse error')); }
-      });
-    });
-    req.on('error', reject); req.write(body); req.end();
-  });
+// What binaries.check() found at startup
+let health = null;
+
+// What a phone may offer, from what's set up and what config.json turns on
+const voiceOn = () => stt.ENABLED && config.get().features.voiceInput;
+const serverVoiceOn = () => tts.ENABLED && config.get().features.serverVoice;
+
+function features(admin) {
+  return {
+    shellEnabled: shell.enabled() && !!admin,
+    voice: voiceOn() ? { maxSeconds: stt.MAX_SECONDS, streaming: stt.STREAMS } : null,
+    speech: serverVoiceOn() ? { maxChars: tts.MAX_CHARS } : null,
+    defaults: { model: config.get().session.model, effort: config.get().session.effort, planMode: config.get().session.planMode },
+  };
+}
+
+// Open phones follow settings changes, whether made from a phone or in the file
+config.onChange(() => {
+  for (const socks of userSockets.values()) {
+    for (const sock of socks) {
+      if (sock.readyState === 1) sock.send(JSON.stringify({ type: 'features', ...features(sock.admin) }));
+    }
+  }
+});
+
+// For the Server section of admins' settings
+function serverInfo() {
+  return { service: service.describe(), canRestart: !!service.MANAGER, claude: health?.claude || null, unbuffer: health?.unbuffer || null };
 }
 
-server.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, '0.0.0.0', async () => {
   console.log('\n🚀 Claude Code Mobile');
   console.log(`   Port:       ${PORT}`);
-  console.log(`   Password:   ${'*'.repeat((PASSWORD || '').length)} (set in .env)`);
-  console.log(`   Voice:      ${OPENAI_KEY ? '✅ Whisper enabled' : '❌ No OpenAI key'}\n`);
+  console.log(`   Accounts:   ${users.hasUsers() ? `${users.loadUsers().length} users (${users.USERS_FILE})` : `shared password ${'*'.repeat((PASSWORD || '').length)} (set in .env)`}`);
+  console.log(`   Projects:   ${projectRoots().join(', ') || '❌ none found'}`);
+  console.log(`   Settings:   ${config.FILE}${fs.existsSync(config.FILE) ? '' : ' (not created yet — defaults and .env)'}`);
+  console.log(`   Voice:      ${voiceOn() ? `✅ ${stt.describe()}` : stt.ENABLED ? '➖ turned off in settings' : '❌ off (set OPENAI_API_KEY, STT_URL or STT_COMMAND)'}`);
+  console.log(`   Read-aloud: ${serverVoiceOn() ? `✅ ${tts.describe()}` : '📱 phone voices only'}`);
+  const limits = supervisor.limits();
+  console.log(`   Runs:       ${limits.maxRuns} at once, ${limits.timeoutMs / 60000} min max, ${limits.idleMs / 60000} min idle${limits.maxMemoryMb ? `, ${limits.maxMemoryMb} MB` : ''}`);
+  console.log(`   Service:    ${service.describe() || 'none (started by hand)'}`);
+  health = await binaries.check();
+  const { claude, unbuffer } = health;
+  console.log(`   Claude:     ${claude.error ? `❌ ${claude.path ? `${claude.path}: ` : ''}${claude.error} — install Claude Code or set CLAUDE_BIN` : `✅ ${claude.version} (${claude.path})`}`);
+  console.log(`   unbuffer:   ${unbuffer.error ? `❌ ${unbuffer.error} — install expect, or set USE_UNBUFFER=0` : unbuffer.used ? `✅ ${unbuffer.path}` : '➖ not used, reading claude\'s output from a pipe'}\n`);
+  adoptOrphans();
+  // Pick up prompts that were still queued when the server last stopped
+  for (const s of globalSessions.values()) runNext(s);
 });
@@ -0,0 +1,61 @@
+// Service worker — keeps the app shell cached so the app opens without a connection,
+// shows push notifications and focuses the app when one is tapped
+const SHELL_CACHE = 'ccm-shell-v1';
+const SHELL = ['/', '/markdown.js', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e) => e.waitUntil((async () => {
+  for (const key of await caches.keys()) if (key.startsWith('ccm-shell-') && key !== SHELL_CACHE) await caches.delete(key);
+  await self.clients.claim();
+})()));
+
+// The shell is fetched from the network first so an updated server is picked up straight
+// away, and the cached copy is only used when that fails. Nothing else is cached: files,
+// exports and share links always need the server.
+self.addEventListener('fetch', (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  const key = e.request.mode === 'navigate' && url.pathname === '/' ? '/' : url.pathname;
+  if (!SHELL.includes(key)) return;
+  e.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+      const res = await fetch(e.request);
+      if (res.ok) await cache.put(key, res.clone());
+      return res;
+    } catch(err) {
+      const cached = await cache.match(key);
+      if (cached) return cached;
+      throw err;
+    }
+  })());
+});
+
+self.addEventListener('push', (e) => {
+  let data = {};
+  try { data = e.data ? e.data.json() : {}; } catch(err) { data = { body: e.data?.text() }; }
+  e.waitUntil(self.registration.showNotification(data.title || 'Claude Code Mobile', {
+    body: data.body || '',
+    tag: data.tag,
+    renotify: !!data.tag,
+    data: { sessionKey: data.sessionKey || null },
+  }));
+});
+
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  const sessionKey = e.notification.data?.sessionKey;
+  e.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      if (sessionKey) client.postMessage({ type: 'open_session', sessionKey });
+      return;
+    }
+    await self.clients.openWindow(sessionKey ? `/?session=${encodeURIComponent(sessionKey)}` : '/');
+  })());
+});
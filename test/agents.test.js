@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Personal agents live under the home folder, so give them a throwaway one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-agents-'));
+process.env.HOME = home;
+const agents = require('../lib/agents');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('a Bash pattern only allows the commands it matches', () => {
+  const tools = ['Read', 'Bash(git:*)', 'Bash(npm test)'];
+  assert.ok(agents.allows(tools, 'Bash', { command: 'git status' }));
+  assert.ok(agents.allows(tools, 'Bash', { command: 'npm test' }));
+  assert.ok(!agents.allows(tools, 'Bash', { command: 'rm -rf /' }));
+  assert.ok(!agents.allows(tools, 'Bash', { command: 'gitk' }));
+  assert.ok(!agents.allows(tools, 'Bash', { command: 'git status && rm -rf /' }));
+  assert.ok(!agents.allows(tools, 'Bash', { command: 'git log $(rm -rf /)' }));
+  // Not pre-allowed as a whole, but not switched off either
+  assert.ok(!agents.allows(tools, 'Bash'));
+  assert.ok(!agents.disallowed(tools).includes('Bash'));
+  assert.ok(agents.disallowed(tools).includes('Write'));
+});
+
+test('tool lists keep patterns that contain commas', () => {
+  fs.mkdirSync(path.join(home, '.claude', 'agents'), { recursive: true });
+  fs.writeFileSync(path.join(home, '.claude', 'agents', 'git.md'), '---\ntools: Read, Bash(git log --format=%h,%s:*)\n---\n\nHelp with git.\n');
+  assert.deepStrictEqual(agents.find(null, 'git').tools, ['Read', 'Bash(git log --format=%h,%s:*)']);
+});
+
+test('save refuses patterns it cannot check and a malformed original name', () => {
+  assert.throws(() => agents.save(null, { name: 'w', prompt: 'x', tools: ['Edit(src/**)'] }), /Only Bash/);
+  assert.throws(() => agents.save(null, { name: 'w', prompt: 'x' }, { name: '../../x', scope: 'user' }), /No such agent/);
+  assert.strictEqual(agents.save(null, { name: 'w', prompt: 'x', tools: ['Bash(git:*)'] }).tools[0], 'Bash(git:*)');
+});
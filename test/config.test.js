@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+
+// Loads lib/config.js (and lib/uploads.js, which needs a startup value from it) in a fresh
+// process whose home holds the given config.json, then applies `patch` with update()
+function loadWith(contents, patch) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-config-'));
+  try {
+    fs.mkdirSync(path.join(home, 'claude-mobile'));
+    if (contents !== undefined) fs.writeFileSync(path.join(home, 'claude-mobile', 'config.json'), contents);
+    const script = `
+      const config = require('./lib/config');
+      const uploads = require('./lib/uploads');
+      const patch = ${JSON.stringify(patch ?? null)};
+      let error = null;
+      try { if (patch) config.update(JSON.parse(patch)); } catch(e) { error = e.message; }
+      console.log(JSON.stringify({ uploads: uploads.DIR, session: config.get().session, limits: config.get().limits, error, inherited: Object.keys(Object.prototype) }));
+      process.exit(0);`;
+    const out = execFileSync(process.execPath, ['-e', script], { cwd: root, env: { ...process.env, HOME: home, MAX_CONCURRENT_RUNS: '', DAILY_BUDGET_USD: '' }, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    return { home, ...JSON.parse(out) };
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+test('starts on the defaults without a config file', () => {
+  const c = loadWith(undefined);
+  assert.strictEqual(c.uploads, path.join(c.home, 'claude-mobile', 'uploads'));
+  assert.strictEqual(c.session.model, 'claude-sonnet-4-6');
+});
+
+test('a file that is not valid JSON is ignored, and the server still starts', () => {
+  const c = loadWith('{ "session": { "model": ');
+  assert.strictEqual(c.uploads, path.join(c.home, 'claude-mobile', 'uploads'));
+  assert.strictEqual(c.session.effort, 'high');
+});
+
+test('bad settings fall back to their defaults, good ones apply', () => {
+  const c = loadWith(JSON.stringify({ session: { model: 'claude-opus-4-6', effort: 'extreme' }, limits: { maxConcurrentRuns: 0 }, paths: { uploadsDir: '~/up' } }));
+  assert.strictEqual(c.session.model, 'claude-opus-4-6');
+  assert.strictEqual(c.session.effort, 'high');
+  assert.strictEqual(c.limits.maxConcurrentRuns, 3);
+  assert.strictEqual(c.uploads, path.join(c.home, 'up'));
+});
+
+test('budgets are limits like the others, defaulting to .env', () => {
+  const c = loadWith(JSON.stringify({ limits: { monthlyBudgetUsd: 100 } }));
+  assert.strictEqual(c.limits.dailyBudgetUsd, 0);
+  assert.strictEqual(c.limits.monthlyBudgetUsd, 100);
+});
+
+test('sections named after inherited properties are unknown, not a crash', () => {
+  const c = loadWith(JSON.stringify({ constructor: { name: 'x' }, session: { toString: 'x', model: 'claude-opus-4-6' } }));
+  assert.strictEqual(c.session.model, 'claude-opus-4-6');
+});
+
+test('an update cannot write onto Object.prototype', () => {
+  const c = loadWith(undefined, '{"__proto__": {"model": "x"}, "session": {"constructor": 1}}');
+  assert.match(c.error, /__proto__: unknown section/);
+  assert.match(c.error, /session\.constructor: unknown setting/);
+  assert.deepStrictEqual(c.inherited, []);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const exporter = require('../lib/export');
+
+const meta = { label: 'Fix the build', exportedAt: Date.UTC(2026, 0, 2) };
+
+test('renders each known format', () => {
+  for (const format of ['md', 'html', 'json']) {
+    const out = exporter.render(format, meta, []);
+    assert.ok(exporter.isFormat(format));
+    assert.match(out.contentType, /charset=utf-8$/);
+    assert.strictEqual(out.filename, `fix-the-build-2026-01-02.${format}`);
+  }
+});
+
+test('rejects formats inherited from Object.prototype', () => {
+  for (const format of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'pdf', '', null, undefined]) {
+    assert.strictEqual(exporter.isFormat(format), false, String(format));
+    assert.throws(() => exporter.render(format, meta, []), /Unknown export format/);
+  }
+});
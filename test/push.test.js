@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keys and subscriptions are kept under the home folder, so give it a throwaway one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-push-'));
+process.env.HOME = home;
+delete process.env.PUSH_ALLOW_HTTP;
+const push = require('../lib/push');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const keys = { p256dh: 'x', auth: 'y' };
+
+test('only https push endpoints are accepted', () => {
+  for (const endpoint of ['http://127.0.0.1:8080/admin', 'file:///etc/passwd', 'not a url']) {
+    assert.throws(() => push.subscribe('alice', { endpoint, keys }), /Invalid push subscription/);
+  }
+  push.subscribe('alice', { endpoint: 'https://push.example.com/abc', keys });
+  assert.deepStrictEqual(push.subscriptionsFor('alice').map(s => s.endpoint), ['https://push.example.com/abc']);
+});
+
+test('a saved http subscription is not posted to', async () => {
+  await assert.rejects(push.sendNotification({ endpoint: 'http://127.0.0.1:9/', keys }, {}), /https/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store keeps its files under the home folder, so give it a throwaway one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-store-'));
+process.env.HOME = home;
+const store = require('../lib/store');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('keys that differ only in punctuation keep separate records', async () => {
+  store.loadAll();   // as the server does at startup; creates the folder
+  store.save({ sessionKey: 's_100_1', owner: 'alice' });
+  store.save({ sessionKey: 's 100 1', owner: 'bob' });
+  await store.flush();
+  const owners = Object.fromEntries(store.loadAll().map(r => [r.sessionKey, r.owner]));
+  assert.deepStrictEqual(owners, { 's_100_1': 'alice', 's 100 1': 'bob' });
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const transcript = require('../lib/transcript');
+
+test('accepts the keys phones and forks make', () => {
+  for (const key of ['s_1760000000000_3', 's_1760000000000_a1b2c3', 'default']) {
+    assert.ok(transcript.validKey(key), key);
+    assert.strictEqual(transcript.fileName(key), key);
+  }
+});
+
+test('rejects keys with other characters or too long', () => {
+  for (const key of ['s 100 1', 's.100.1', '../x', '', 'a'.repeat(65), 42, null]) {
+    assert.strictEqual(transcript.validKey(key), false, String(key));
+  }
+});
+
+test('keys that would have shared a file name no longer do', () => {
+  const names = ['s_100_1', 's 100 1', 's.100.1', 's/100/1'].map(transcript.fileName);
+  assert.strictEqual(new Set(names).size, names.length);
+  assert.match(transcript.fileName('s 100 1'), /^~[0-9a-f]{40}$/);
+});
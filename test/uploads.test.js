@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Uploads are kept under the home folder, so give them a throwaway one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-uploads-'));
+process.env.HOME = home;
+const uploads = require('../lib/uploads');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+test('two chunks sent at the same offset are written once', async () => {
+  const data = Buffer.from('hello world');
+  const { id } = uploads.start('alice', { name: 'a.txt', size: data.length * 2 });
+  const results = await Promise.allSettled([
+    uploads.append('alice', id, 0, data),
+    uploads.append('alice', id, 0, data),
+  ]);
+  assert.strictEqual(results.filter(r => r.status === 'fulfilled').length, 1);
+  const refused = results.find(r => r.status === 'rejected').reason;
+  assert.strictEqual(refused.status, 409);
+  const done = await uploads.append('alice', id, data.length, data);
+  assert.strictEqual(done.received, data.length * 2);
+  assert.strictEqual(fs.readFileSync(uploads.resolve(done.file.file, 'alice')).length, data.length * 2);
+});
+
+test('a known hash does not hand out the stored file without its bytes', async () => {
+  const data = Buffer.from('private notes');
+  const { id } = uploads.start('alice', { name: 'notes.txt', size: data.length, sha256: sha256(data) });
+  const { file } = await uploads.append('alice', id, 0, data);
+
+  const claim = uploads.start('mallory', { name: 'notes.txt', size: data.length, sha256: sha256(data) });
+  assert.strictEqual(claim.file, undefined);
+  assert.strictEqual(claim.received, 0);
+  await assert.rejects(uploads.append('mallory', claim.id, 0, Buffer.from('public things')), { status: 422 });
+
+  // Sending the real bytes is still stored only once
+  const again = uploads.start('bob', { name: 'notes.txt', size: data.length, sha256: sha256(data) });
+  const { file: same } = await uploads.append('bob', again.id, 0, data);
+  assert.strictEqual(same.file, file.file);
+});
+
+test('stored files are only listed, resolved and attached for their owners', async () => {
+  const data = Buffer.from('alice only');
+  const { id } = uploads.start('alice', { name: 'mine.txt', size: data.length });
+  const { file } = await uploads.append('alice', id, 0, data);
+  assert.ok(uploads.resolve(file.file, 'alice'));
+  assert.strictEqual(uploads.resolve(file.file, 'mallory'), null);
+  assert.ok(uploads.resolve(file.file, null));
+  assert.ok(uploads.list('alice').some(f => f.name === file.file));
+  assert.ok(!uploads.list('mallory').some(f => f.name === file.file));
+
+  // Sending the same bytes makes it yours as well
+  const copy = await uploads.saveBuffer('bob', 'mine.txt', data);
+  assert.strictEqual(copy.file, file.file);
+  assert.ok(uploads.resolve(file.file, 'bob'));
+});
+
+test('files a run writes into the folder become its user\'s', () => {
+  const since = Date.now() - 1000;
+  fs.writeFileSync(path.join(uploads.DIR, 'report.md'), '# Report');
+  assert.strictEqual(uploads.resolve('report.md', 'alice'), null);
+  uploads.claim('alice', since);
+  assert.ok(uploads.resolve('report.md', 'alice'));
+  uploads.claim('bob', since);
+  assert.strictEqual(uploads.resolve('report.md', 'bob'), null);
+});
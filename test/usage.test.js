@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-usage-'));
+process.env.HOME = home;
+const usage = require('../lib/usage');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('resolves Claude Code model aliases', () => {
+  assert.strictEqual(usage.resolveModel('sonnet'), 'claude-sonnet-4-6');
+  assert.strictEqual(usage.resolveModel('Opus[1m]'), 'claude-opus-4-6[1m]');
+  assert.strictEqual(usage.resolveModel('claude-haiku-4-5'), 'claude-haiku-4-5');
+  assert.strictEqual(usage.resolveModel(''), null);
+});
+
+test('1M variants get the long context window', () => {
+  assert.strictEqual(usage.contextLimit('claude-sonnet-4-6'), 200000);
+  assert.strictEqual(usage.contextLimit('sonnet'), 200000);
+  assert.strictEqual(usage.contextLimit('claude-sonnet-4-6[1m]'), 1000000);
+  assert.strictEqual(usage.contextLimit('sonnet[1m]'), 1000000);
+  assert.strictEqual(usage.contextLimit(undefined), 200000);
+});
+
+test('only the full report shows what everyone has spent', () => {
+  usage.record({ sessionKey: 'a', owner: 'alice', costUsd: 3 });
+  usage.record({ sessionKey: 'b', owner: 'bob', costUsd: 4 });
+  const mine = usage.summary('bob');
+  assert.strictEqual(mine.today.costUsd, 4);
+  assert.strictEqual(mine.budgets.spentToday, undefined);
+  assert.strictEqual(mine.byUser, null);
+  assert.strictEqual(usage.summary(null).budgets.spentToday, 7);
+});